@@ -0,0 +1,122 @@
+import { createHmac } from 'node:crypto';
+import { promises as dns } from 'node:dns';
+
+const WORKER_URL = (process.env.WORKER_URL || '').replace(/\/+$/, '');
+const AGENT_ID = process.env.AGENT_ID;
+const AGENT_KEY = process.env.AGENT_KEY;
+const TIMEOUT = Number(process.env.TIMEOUT || 10) * 1000;
+const RUN_ONCE = process.argv.includes('--once');
+
+if (!WORKER_URL || !AGENT_ID || !AGENT_KEY) {
+  console.error('请设置 WORKER_URL、AGENT_ID 和 AGENT_KEY 环境变量');
+  process.exit(1);
+}
+
+async function signedFetch(path, method = 'GET', body = '') {
+  const timestamp = String(Date.now());
+  const signature = createHmac('sha256', AGENT_KEY)
+    .update(`${timestamp}\n${method}\n${path}\n${body}`)
+    .digest('hex');
+
+  const response = await fetch(WORKER_URL + path, {
+    method,
+    body: body || undefined,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Agent-Id': AGENT_ID,
+      'X-Agent-Timestamp': timestamp,
+      'X-Agent-Signature': signature
+    }
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error ? data.error.message : `HTTP ${response.status}`);
+  }
+  return data;
+}
+
+function ipToNumber(ip) {
+  const parts = ip.split('.').map(part => parseInt(part, 10));
+  if (parts.length !== 4 || parts.some(part => !(part >= 0 && part <= 255))) return null;
+  return parts.reduce((sum, part) => sum * 256 + part, 0);
+}
+
+function matchesRange(ip, range) {
+  const [base, bits = '32'] = range.split('/');
+  const address = ipToNumber(ip);
+  const network = ipToNumber(base);
+  if (address === null || network === null) return false;
+
+  const size = 2 ** (32 - parseInt(bits, 10));
+  return Math.floor(address / size) === Math.floor(network / size);
+}
+
+function classifyError(error) {
+  const code = (error.cause && error.cause.code) || error.code || '';
+  const message = `${code} ${error.message} ${error.cause ? error.cause.message : ''}`;
+
+  if (error.name === 'TimeoutError' || error.name === 'AbortError' || /TIMEOUT|ETIMEDOUT/i.test(message)) return 'timeout';
+  if (/CERT|TLS|SSL|handshake/i.test(message)) return 'tls_error';
+  if (/ECONNRESET|ECONNREFUSED|EPIPE|socket hang up|closed/i.test(message)) return 'reset';
+  return 'network_error';
+}
+
+async function checkSite(site, poisonedIps) {
+  const checkedAt = Date.now();
+  const hostname = new URL(site.url).hostname;
+
+  if (ipToNumber(hostname) === null) {
+    try {
+      const addresses = await dns.resolve4(hostname);
+      if (addresses.some(ip => poisonedIps.some(range => matchesRange(ip, range)))) {
+        return { host: site.host, verdict: 'dns_poisoned', statusCode: 0, checkedAt };
+      }
+    } catch {
+      // 解析失败时交给下面的 HTTP 请求判断具体原因
+    }
+  }
+
+  try {
+    const response = await fetch(site.url, {
+      signal: AbortSignal.timeout(TIMEOUT),
+      redirect: site.expectedStatus.some(code => code >= 300 && code < 400) ? 'manual' : 'follow',
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; Status-Check/1.0)' }
+    });
+
+    if (!site.expectedStatus.includes(response.status)) {
+      return { host: site.host, verdict: 'http_error', statusCode: response.status, checkedAt };
+    }
+
+    const hasKeyword = !site.keyword || (await response.text()).includes(site.keyword);
+    return { host: site.host, verdict: hasKeyword ? 'ok' : 'content_mismatch', statusCode: response.status, checkedAt };
+  } catch (error) {
+    return { host: site.host, verdict: classifyError(error), statusCode: 0, checkedAt };
+  }
+}
+
+async function runOnce() {
+  const { sites, poisonedIps, interval } = await signedFetch('/agent/sites');
+  const results = await Promise.all(sites.map(site => checkSite(site, poisonedIps)));
+  const { accepted } = await signedFetch('/agent/results', 'POST', JSON.stringify({ results }));
+
+  console.log(`[${new Date().toISOString()}] 已上报 ${accepted} 个网站的检测结果`);
+  return interval;
+}
+
+async function main() {
+  while (true) {
+    let interval = 5;
+    try {
+      interval = await runOnce();
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] 检测失败：${error.message}`);
+      if (RUN_ONCE) process.exit(1);
+    }
+
+    if (RUN_ONCE) return;
+    await new Promise(resolve => setTimeout(resolve, interval * 60 * 1000));
+  }
+}
+
+main();
@@ -7,7 +7,43 @@ export default {
 
       const url = new URL(request.url);
       if (url.pathname === '/admin') {
-        return handleAdminPage(request, env);
+        return await handleAdminPage(request, env, ctx);
+      }
+
+      if (url.pathname === '/admin/logout') {
+        return await handleLogout(request, env);
+      }
+
+      if (url.pathname === '/admin/export') {
+        return await handleExport(request, env);
+      }
+
+      if (url.pathname.startsWith('/site/')) {
+        return await handleSiteDetailPage(request, env);
+      }
+
+      if (url.pathname === '/check') {
+        return await handleCheckRequest(request, env);
+      }
+
+      if (url.pathname.startsWith('/badge/')) {
+        return await handleBadgeRequest(request, env);
+      }
+
+      if (url.pathname === '/feed.atom') {
+        return await handleFeedRequest(request, env);
+      }
+
+      if (url.pathname.startsWith('/rules/')) {
+        return await handleRulesRequest(request, env);
+      }
+
+      if (url.pathname.startsWith('/agent/')) {
+        return await handleAgentRequest(request, env);
+      }
+
+      if (url.pathname.startsWith('/api/')) {
+        return await handleApiRequest(request, env, ctx);
       }
 
       const sites = await ConfigManager.getSites(env);
@@ -15,200 +51,1901 @@ export default {
         return ResponseHelper.redirect(new URL('/admin', request.url).toString());
       }
 
-      const siteStatuses = await checkAllSitesStatus(sites, request);
-      return ResponseHelper.html(generateHTML(siteStatuses));
+      let snapshot = await SnapshotManager.getSnapshot(env);
+      if (!snapshot) {
+        snapshot = await refreshSnapshot(env, url.hostname);
+      }
+      return ResponseHelper.html(generateHTML(await AgentManager.attachResults(env, snapshot)));
+
+    } catch (error) {
+      return ResponseHelper.error('服务器内部错误');
+    }
+  },
+
+  async scheduled(event, env, ctx) {
+    if (!env.kv) return;
+    ctx.waitUntil(runScheduledCheck(env));
+  }
+};
+
+const SnapshotManager = {
+  async getSnapshot(env) {
+    try {
+      const snapshot = await env.kv.get('STATUS_SNAPSHOT');
+      return snapshot ? JSON.parse(snapshot) : null;
+    } catch {
+      return null;
+    }
+  },
+
+  async saveSnapshot(env, snapshot) {
+    await env.kv.put('STATUS_SNAPSHOT', JSON.stringify(snapshot));
+    return snapshot;
+  }
+};
+
+const HistoryManager = {
+  BUCKET_SIZE: 60 * 60 * 1000,
+  RETENTION: 30 * 24 * 60 * 60 * 1000,
+  RECENT_WINDOW: 24 * 60 * 60 * 1000,
+  MAX_INCIDENTS: 100,
+
+  createEmpty() {
+    return { lastStatus: null, buckets: [], checks: [], incidents: [] };
+  },
+
+  async getHistories(env) {
+    try {
+      const histories = await env.kv.get('CHECK_HISTORY');
+      return histories ? JSON.parse(histories) : {};
+    } catch {
+      return {};
+    }
+  },
+
+  async getHistory(env, hostname) {
+    const histories = await this.getHistories(env);
+    return histories[hostname] || this.createEmpty();
+  },
+
+  async saveHistories(env, histories) {
+    try {
+      await env.kv.put('CHECK_HISTORY', JSON.stringify(histories), { expirationTtl: this.RETENTION / 1000 });
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  applyResults(histories, results) {
+    const updated = { ...histories };
+    for (const result of results) {
+      updated[result.hostname] = this.applyResult(histories[result.hostname] || this.createEmpty(), result);
+    }
+
+    const cutoff = Date.now() - this.RETENTION;
+    for (const [hostname, history] of Object.entries(updated)) {
+      if (!history.buckets.some(bucket => bucket.start > cutoff)) delete updated[hostname];
+    }
+    return updated;
+  },
+
+  applyResult(history, result) {
+    const { status, verdict, statusCode, statusText, checkedAt: timestamp } = result;
+
+    const bucketStart = Math.floor(timestamp / this.BUCKET_SIZE) * this.BUCKET_SIZE;
+    let bucket = history.buckets[history.buckets.length - 1];
+    if (!bucket || bucket.start !== bucketStart) {
+      bucket = { start: bucketStart, total: 0, online: 0 };
+      history.buckets.push(bucket);
+    }
+    bucket.total++;
+    if (status === 'online') bucket.online++;
+
+    if (history.lastStatus && history.lastStatus !== status) {
+      history.incidents.push({
+        type: status === 'online' ? 'recovered' : 'blocked',
+        timestamp,
+        verdict,
+        statusCode,
+        statusText
+      });
+    }
+    history.lastStatus = status;
+    history.checks.push({ status, verdict, statusCode, statusText, timestamp });
+
+    history.buckets = history.buckets.filter(item => item.start > timestamp - this.RETENTION);
+    history.checks = history.checks.filter(item => item.timestamp > timestamp - this.RECENT_WINDOW);
+    history.incidents = history.incidents.slice(-this.MAX_INCIDENTS);
+    return history;
+  },
+
+  getUptime(history, windowMs, now = Date.now()) {
+    const buckets = history.buckets.filter(bucket => bucket.start > now - windowMs);
+    const total = buckets.reduce((sum, bucket) => sum + bucket.total, 0);
+    const online = buckets.reduce((sum, bucket) => sum + bucket.online, 0);
+    return total ? online / total : null;
+  },
+
+  getTimeline(history, count, size, now = Date.now()) {
+    const offset = size >= 24 * 60 * 60 * 1000 ? 8 * 60 * 60 * 1000 : 0;
+    const currentStart = Math.floor((now + offset) / size) * size - offset;
+    const segments = [];
+
+    for (let i = count - 1; i >= 0; i--) {
+      const start = currentStart - i * size;
+      const buckets = history.buckets.filter(bucket => bucket.start >= start && bucket.start < start + size);
+      segments.push({
+        start,
+        total: buckets.reduce((sum, bucket) => sum + bucket.total, 0),
+        online: buckets.reduce((sum, bucket) => sum + bucket.online, 0)
+      });
+    }
+    return segments;
+  },
+
+  getSummary(history, now = Date.now()) {
+    return {
+      uptime: {
+        day: this.getUptime(history, 24 * 60 * 60 * 1000, now),
+        week: this.getUptime(history, 7 * 24 * 60 * 60 * 1000, now),
+        month: this.getUptime(history, 30 * 24 * 60 * 60 * 1000, now)
+      },
+      timeline: this.getTimeline(history, 24, this.BUCKET_SIZE, now)
+    };
+  }
+};
+
+const NotificationManager = {
+  CHANNEL_TYPES: {
+    webhook: 'JSON Webhook',
+    telegram: 'Telegram',
+    template: 'URL 模板 (Bark / Server酱)'
+  },
+  MAX_LOG: 50,
+  TIMEOUT: 10000,
+
+  async getConfig(env) {
+    try {
+      const config = await env.kv.get('NOTIFY_CONFIG');
+      return config ? JSON.parse(config) : { threshold: 3, channels: [] };
+    } catch {
+      return { threshold: 3, channels: [] };
+    }
+  },
+
+  async saveConfig(env, config) {
+    await env.kv.put('NOTIFY_CONFIG', JSON.stringify(config));
+    return config;
+  },
+
+  async getLog(env) {
+    try {
+      const log = await env.kv.get('NOTIFY_LOG');
+      return log ? JSON.parse(log) : [];
+    } catch {
+      return [];
+    }
+  },
+
+  async recordFailures(env, failures) {
+    const log = await this.getLog(env);
+    for (const { channel, error } of failures) {
+      log.push({ timestamp: Date.now(), channel: channel.name, error: String(error.message || error) });
+    }
+    await env.kv.put('NOTIFY_LOG', JSON.stringify(log.slice(-this.MAX_LOG)));
+  },
+
+  async clearLog(env) {
+    await env.kv.delete('NOTIFY_LOG');
+  },
+
+  parseChannel(formData) {
+    const type = formData.get('channel_type');
+    const name = String(formData.get('channel_name') || '').trim();
+    const url = String(formData.get('channel_url') || '').trim();
+    const botToken = String(formData.get('channel_bot_token') || '').trim();
+    const chatId = String(formData.get('channel_chat_id') || '').trim();
+
+    if (!this.CHANNEL_TYPES[type]) {
+      throw new Error('未知的通知类型');
+    }
+    if (type === 'telegram' && (!botToken || !chatId)) {
+      throw new Error('Telegram 需要填写 Bot Token 和 Chat ID');
+    }
+    if (type !== 'telegram' && !this.isValidUrl(url)) {
+      throw new Error('请填写有效的 URL');
+    }
+
+    return {
+      id: CryptoHelper.randomHex(8),
+      type,
+      name: name || this.CHANNEL_TYPES[type],
+      ...(type === 'telegram' ? { botToken, chatId } : { url })
+    };
+  },
+
+  isValidUrl(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol) && !/\s/.test(url);
+    } catch {
+      return false;
+    }
+  },
+
+  getTarget(channel) {
+    if (channel.type === 'telegram') return `Chat ${channel.chatId}`;
+    const match = String(channel.url || '').match(/^https?:\/\/(?:[^@/?#]*@)?([^/?#]+)/i);
+    return match ? match[1] : String(channel.url || '');
+  },
+
+  buildMessage(event, site) {
+    if (event === 'test') {
+      return { event, title: '🔔 测试通知', text: '这是一条来自网站状态监控的测试通知' };
+    }
+
+    return {
+      event,
+      title: event === 'down' ? `🚫 ${site.name} 不可访问` : `✅ ${site.name} 已恢复`,
+      text: `${site.displayUrl}：${site.statusText}（${site.verdict}），状态码 ${site.statusCode}，${getBeijingTime(site.checkedAt)}`
+    };
+  },
+
+  async send(channel, message, site = null) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.TIMEOUT);
+
+    try {
+      await this.deliver(channel, message, site, controller.signal);
+    } catch (error) {
+      throw error.name === 'AbortError' ? new Error('请求超时') : error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  },
+
+  async deliver(channel, message, site, signal) {
+    let response;
+
+    if (channel.type === 'webhook') {
+      response = await fetch(channel.url, {
+        signal,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          event: message.event,
+          title: message.title,
+          message: message.text,
+          site: site && {
+            name: site.name,
+            host: site.hostname,
+            url: site.url,
+            status: site.status,
+            verdict: site.verdict,
+            statusCode: site.statusCode,
+            statusText: site.statusText,
+            checkedAt: site.checkedAt
+          },
+          timestamp: Date.now()
+        })
+      });
+    } else if (channel.type === 'telegram') {
+      response = await fetch(`https://api.telegram.org/bot${channel.botToken}/sendMessage`, {
+        signal,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ chat_id: channel.chatId, text: `${message.title}\n${message.text}` })
+      });
+    } else {
+      const values = {
+        title: message.title,
+        message: message.text,
+        host: site ? site.hostname : '',
+        status: site ? site.status : ''
+      };
+      response = await fetch(channel.url.replace(/\{(title|message|host|status)\}/g, (_, key) => encodeURIComponent(values[key])), { signal });
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${(await response.text()).slice(0, 200)}`);
+    }
+  },
+
+  async dispatch(env, channels, message, site = null) {
+    const results = await Promise.allSettled(channels.map(channel => this.send(channel, message, site)));
+    const failures = results.flatMap((result, index) =>
+      result.status === 'rejected' ? [{ channel: channels[index], error: result.reason }] : []
+    );
+    if (failures.length) {
+      await this.recordFailures(env, failures);
+    }
+  },
+
+  async processResults(env, sites) {
+    const config = await this.getConfig(env);
+    if (!config.channels.length) return;
+
+    let state = {};
+    try {
+      state = JSON.parse(await env.kv.get('NOTIFY_STATE') || '{}');
+    } catch {
+      state = {};
+    }
+
+    const nextState = {};
+    const events = [];
+
+    for (const site of sites) {
+      const entry = state[site.hostname] || { failures: 0, alerted: false };
+
+      if (site.status === 'online') {
+        if (entry.alerted) events.push(['recovered', site]);
+        nextState[site.hostname] = { failures: 0, alerted: false };
+        continue;
+      }
+
+      const failures = entry.failures + 1;
+      const alerted = entry.alerted || failures >= config.threshold;
+      if (alerted && !entry.alerted) events.push(['down', site]);
+      nextState[site.hostname] = { failures, alerted };
+    }
+
+    await env.kv.put('NOTIFY_STATE', JSON.stringify(nextState));
+    for (const [event, site] of events) {
+      await this.dispatch(env, config.channels, this.buildMessage(event, site), site);
+    }
+  }
+};
+
+function getCheckInterval(env) {
+  const minutes = parseInt(env.CHECK_INTERVAL, 10);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 5;
+}
+
+async function runScheduledCheck(env) {
+  const snapshot = await SnapshotManager.getSnapshot(env);
+  if (snapshot && Date.now() - snapshot.checkedAt < getCheckInterval(env) * 60 * 1000 - 30 * 1000) {
+    return snapshot;
+  }
+  return refreshSnapshot(env, snapshot ? snapshot.hostname : null);
+}
+
+async function refreshSnapshot(env, currentHostname = null) {
+  const sites = await ConfigManager.getSites(env);
+  const siteStatuses = await checkAllSitesStatus(sites, currentHostname, getProbeOptions(env));
+  const histories = HistoryManager.applyResults(await HistoryManager.getHistories(env), siteStatuses);
+  const sitesWithHistory = siteStatuses.map(site => ({ ...site, ...HistoryManager.getSummary(histories[site.hostname]) }));
+
+  const snapshot = await SnapshotManager.saveSnapshot(env, {
+    checkedAt: Date.now(),
+    hostname: currentHostname,
+    sites: sitesWithHistory
+  });
+  await HistoryManager.saveHistories(env, histories);
+  await NotificationManager.processResults(env, sitesWithHistory);
+  return snapshot;
+}
+
+const CryptoHelper = {
+  toHex(buffer) {
+    return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+  },
+
+  fromHex(hex) {
+    return new Uint8Array((hex.match(/../g) || []).map(byte => parseInt(byte, 16)));
+  },
+
+  async sha256(text) {
+    return this.toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+  },
+
+  randomHex(byteLength = 32) {
+    return this.toHex(crypto.getRandomValues(new Uint8Array(byteLength)));
+  },
+
+  async hmac(secret, message) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+      'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    return this.toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+  },
+
+  timingSafeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  }
+};
+
+const PasswordHelper = {
+  ITERATIONS: 100000,
+
+  async hashPassword(password, salt = CryptoHelper.randomHex(16), iterations = this.ITERATIONS) {
+    const key = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: CryptoHelper.fromHex(salt), iterations }, key, 256
+    );
+    return `pbkdf2:${iterations}:${salt}:${CryptoHelper.toHex(bits)}`;
+  },
+
+  async hashLegacyPassword(password) {
+    return CryptoHelper.sha256(password);
+  },
+
+  needsRehash(hashedPassword) {
+    return !hashedPassword.startsWith('pbkdf2:');
+  },
+
+  async verifyPassword(password, hashedPassword) {
+    if (!password || !hashedPassword) return false;
+
+    if (this.needsRehash(hashedPassword)) {
+      return CryptoHelper.timingSafeEqual(await this.hashLegacyPassword(password), hashedPassword);
+    }
+
+    const [, iterations, salt] = hashedPassword.split(':');
+    const hashedInput = await this.hashPassword(password, salt, parseInt(iterations, 10));
+    return CryptoHelper.timingSafeEqual(hashedInput, hashedPassword);
+  }
+};
+
+const ApiTokenManager = {
+  SCOPES: { read: '只读', write: '读写' },
+
+  async getTokens(env) {
+    try {
+      const tokens = await env.kv.get('API_TOKENS');
+      return tokens ? JSON.parse(tokens) : [];
+    } catch {
+      return [];
+    }
+  },
+
+  async createToken(env, name, scope) {
+    if (!this.SCOPES[scope]) {
+      throw new Error('未知的权限范围');
+    }
+
+    const token = `gfw_${CryptoHelper.randomHex(24)}`;
+    const tokens = await this.getTokens(env);
+    tokens.push({
+      id: CryptoHelper.randomHex(8),
+      name: String(name || '').trim() || '未命名令牌',
+      scope,
+      prefix: token.slice(0, 10),
+      hash: await CryptoHelper.sha256(token),
+      createdAt: Date.now()
+    });
+
+    await env.kv.put('API_TOKENS', JSON.stringify(tokens));
+    return token;
+  },
+
+  async revokeToken(env, id) {
+    const tokens = await this.getTokens(env);
+    await env.kv.put('API_TOKENS', JSON.stringify(tokens.filter(token => token.id !== id)));
+  },
+
+  async authenticate(env, request) {
+    const match = (request.headers.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    if (!match) return null;
+
+    const hash = await CryptoHelper.sha256(match[1]);
+    const tokens = await this.getTokens(env);
+    return tokens.find(token => CryptoHelper.timingSafeEqual(token.hash, hash)) || null;
+  }
+};
+
+const RevisionManager = {
+  MAX_REVISIONS: 50,
+
+  async getRevisions(env) {
+    try {
+      const revisions = await env.kv.get('CONFIG_REVISIONS');
+      return revisions ? JSON.parse(revisions) : [];
+    } catch {
+      return [];
+    }
+  },
+
+  async getRevision(env, id) {
+    try {
+      const sites = await env.kv.get(`CONFIG_REVISION:${id}`);
+      return sites ? JSON.parse(sites) : null;
+    } catch {
+      return null;
+    }
+  },
+
+  diff(previous, current) {
+    const before = new Map(previous.map(site => [site.host, JSON.stringify(site)]));
+    const after = new Set(current.map(site => site.host));
+    return {
+      added: current.filter(site => !before.has(site.host)).map(site => site.host),
+      removed: previous.filter(site => !after.has(site.host)).map(site => site.host),
+      changed: current.filter(site => before.has(site.host) && before.get(site.host) !== JSON.stringify(site)).map(site => site.host)
+    };
+  },
+
+  async record(env, previous, sites, { ip = 'unknown', source = '' } = {}) {
+    const revisions = await this.getRevisions(env);
+    if (!revisions.length && previous.length) {
+      revisions.push(await this.store(env, 1, previous, this.diff([], previous), { ip: '', source: '初始配置' }));
+    }
+
+    const diff = this.diff(previous, sites);
+    if (!diff.added.length && !diff.removed.length && !diff.changed.length) {
+      return null;
+    }
+
+    const id = revisions.length ? revisions[revisions.length - 1].id + 1 : 1;
+    const revision = await this.store(env, id, sites, diff, { ip, source });
+    revisions.push(revision);
+
+    const expired = revisions.splice(0, Math.max(0, revisions.length - this.MAX_REVISIONS));
+    await Promise.all(expired.map(item => env.kv.delete(`CONFIG_REVISION:${item.id}`)));
+    await env.kv.put('CONFIG_REVISIONS', JSON.stringify(revisions));
+    return revision;
+  },
+
+  async store(env, id, sites, diff, { ip, source }) {
+    await env.kv.put(`CONFIG_REVISION:${id}`, JSON.stringify(sites));
+    return { id, timestamp: Date.now(), ip, source, count: sites.length, ...diff };
+  }
+};
+
+const AuditManager = {
+  RETENTION: 90 * 24 * 60 * 60,
+  PAGE_SIZE: 50,
+  EVENTS: {
+    password_set: '设置密码',
+    login: '登录成功',
+    login_failed: '登录失败',
+    logout: '退出登录',
+    password_change: '修改密码',
+    config_restore: '恢复配置'
+  },
+
+  getPrefix(event) {
+    return event === 'login_failed' ? 'AUDIT_FAILED:' : 'AUDIT:';
+  },
+
+  async getLog(env) {
+    try {
+      const pages = await Promise.all(['AUDIT:', 'AUDIT_FAILED:'].map(prefix =>
+        env.kv.list({ prefix, limit: this.PAGE_SIZE })
+      ));
+      return pages.flatMap(page => page.keys.map(key => key.metadata).filter(Boolean))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    } catch {
+      return [];
+    }
+  },
+
+  async record(env, request, event, detail = '') {
+    const entry = { timestamp: Date.now(), ip: SecurityHelper.getClientIp(request), event, detail };
+    const order = String(Number.MAX_SAFE_INTEGER - entry.timestamp).padStart(16, '0');
+    await env.kv.put(`${this.getPrefix(event)}${order}:${CryptoHelper.randomHex(4)}`, JSON.stringify(entry), {
+      expirationTtl: this.RETENTION,
+      metadata: entry
+    });
+  }
+};
+
+const AgentManager = {
+  MAX_CLOCK_SKEW: 5 * 60 * 1000,
+
+  async getAgents(env) {
+    try {
+      const agents = await env.kv.get('PROBE_AGENTS');
+      return agents ? JSON.parse(agents) : [];
+    } catch {
+      return [];
+    }
+  },
+
+  async createAgent(env, { name, region, isp }) {
+    name = String(name || '').trim();
+    if (!name) {
+      throw new Error('请填写节点名称');
+    }
+
+    const agent = {
+      id: CryptoHelper.randomHex(8),
+      name,
+      region: String(region || '').trim(),
+      isp: String(isp || '').trim(),
+      key: CryptoHelper.randomHex(32),
+      createdAt: Date.now()
+    };
+
+    const agents = await this.getAgents(env);
+    agents.push(agent);
+    await env.kv.put('PROBE_AGENTS', JSON.stringify(agents));
+    return agent;
+  },
+
+  async deleteAgent(env, id) {
+    const agents = await this.getAgents(env);
+    await env.kv.put('PROBE_AGENTS', JSON.stringify(agents.filter(agent => agent.id !== id)));
+    await env.kv.delete(`AGENT_RESULTS:${id}`);
+  },
+
+  async authenticate(env, request, body) {
+    const agentId = request.headers.get('X-Agent-Id');
+    const timestamp = request.headers.get('X-Agent-Timestamp');
+    const signature = request.headers.get('X-Agent-Signature');
+    if (!agentId || !timestamp || !signature || Math.abs(Date.now() - Number(timestamp)) > this.MAX_CLOCK_SKEW) {
+      return null;
+    }
+
+    const agent = (await this.getAgents(env)).find(item => item.id === agentId);
+    if (!agent) return null;
+
+    const payload = `${timestamp}\n${request.method}\n${new URL(request.url).pathname}\n${body}`;
+    const expected = await CryptoHelper.hmac(agent.key, payload);
+    return CryptoHelper.timingSafeEqual(signature.toLowerCase(), expected) ? agent : null;
+  },
+
+  async getResults(env, agentId) {
+    try {
+      const results = await env.kv.get(`AGENT_RESULTS:${agentId}`);
+      return results ? JSON.parse(results) : null;
+    } catch {
+      return null;
+    }
+  },
+
+  async saveResults(env, agent, results, sites, signedAt) {
+    const hosts = new Set(sites.map(site => site.hostname));
+    const record = { receivedAt: Date.now(), signedAt, results: {} };
+
+    for (const result of results) {
+      if (!result || typeof result !== 'object') continue;
+      const host = String(result.host || '').toLowerCase();
+      if (!hosts.has(host) || !VERDICT_LABELS[result.verdict]) continue;
+
+      record.results[host] = {
+        status: result.verdict === 'ok' ? 'online' : 'offline',
+        verdict: result.verdict,
+        statusCode: parseInt(result.statusCode, 10) || 0,
+        statusText: VERDICT_LABELS[result.verdict],
+        checkedAt: Number(result.checkedAt) || record.receivedAt
+      };
+    }
+
+    await env.kv.put(`AGENT_RESULTS:${agent.id}`, JSON.stringify(record));
+    return Object.keys(record.results).length;
+  },
+
+  getStaleAfter(env) {
+    const minutes = parseInt(env.AGENT_STALE_MINUTES, 10);
+    return (Number.isFinite(minutes) && minutes > 0 ? minutes : 30) * 60 * 1000;
+  },
+
+  async attachResults(env, snapshot) {
+    const agents = await this.getAgents(env);
+    if (!agents.length) return snapshot;
+
+    const records = await Promise.all(agents.map(agent => this.getResults(env, agent.id)));
+    const staleAfter = this.getStaleAfter(env);
+
+    const sites = snapshot.sites.map(site => ({
+      ...site,
+      probes: [
+        { source: 'Cloudflare 边缘', status: site.status, statusText: site.statusText, checkedAt: site.checkedAt, stale: false },
+        ...agents.map((agent, index) => {
+          const record = records[index];
+          const result = record && record.results[site.hostname];
+          return {
+            source: [agent.region, agent.isp].filter(Boolean).join(' ') || agent.name,
+            agent: agent.name,
+            ...(result || { status: 'unknown', statusText: '暂无数据', checkedAt: null }),
+            stale: !record || Date.now() - record.receivedAt > staleAfter
+          };
+        })
+      ]
+    }));
+
+    return { ...snapshot, sites };
+  }
+};
+
+const SessionHelper = {
+  COOKIE_NAME: 'admin_session',
+  MAX_AGE: 12 * 60 * 60,
+
+  async getSecret(env) {
+    let secret = await env.kv.get('SESSION_SECRET');
+    if (!secret) {
+      secret = await this.rotateSecret(env);
+    }
+    return secret;
+  },
+
+  async rotateSecret(env) {
+    const secret = CryptoHelper.randomHex(32);
+    await env.kv.put('SESSION_SECRET', secret);
+    return secret;
+  },
+
+  async createSession(env) {
+    const secret = await this.getSecret(env);
+    const sessionId = CryptoHelper.randomHex(16);
+    const expiresAt = Date.now() + this.MAX_AGE * 1000;
+    const signature = await CryptoHelper.hmac(secret, `${sessionId}.${expiresAt}`);
+    await env.kv.put(`SESSION:${sessionId}`, String(expiresAt), { expirationTtl: this.MAX_AGE });
+
+    return {
+      csrfToken: await CryptoHelper.hmac(secret, `csrf:${sessionId}`),
+      cookie: `${this.COOKIE_NAME}=${sessionId}.${expiresAt}.${signature}; Path=/; Max-Age=${this.MAX_AGE}; HttpOnly; Secure; SameSite=Strict`
+    };
+  },
+
+  async getSession(env, request) {
+    const cookies = request.headers.get('Cookie') || '';
+    const match = cookies.match(new RegExp(`(?:^|;\\s*)${this.COOKIE_NAME}=([^;]+)`));
+    if (!match) return null;
+
+    const [sessionId, expiresAt, signature] = match[1].split('.');
+    if (!sessionId || !expiresAt || !signature || Number(expiresAt) < Date.now()) return null;
+
+    const secret = await this.getSecret(env);
+    const expected = await CryptoHelper.hmac(secret, `${sessionId}.${expiresAt}`);
+    if (!CryptoHelper.timingSafeEqual(signature, expected)) return null;
+    if (!await env.kv.get(`SESSION:${sessionId}`)) return null;
+
+    return { sessionId, csrfToken: await CryptoHelper.hmac(secret, `csrf:${sessionId}`) };
+  },
+
+  async revokeSession(env, session) {
+    await env.kv.delete(`SESSION:${session.sessionId}`);
+  },
+
+  verifyCsrf(session, token) {
+    return CryptoHelper.timingSafeEqual(session.csrfToken, token);
+  },
+
+  clearCookie() {
+    return `${this.COOKIE_NAME}=; Path=/; Max-Age=0; HttpOnly; Secure; SameSite=Strict`;
+  }
+};
+
+const SecurityHelper = {
+  LOGIN_RULE: { key: 'LOGIN_ATTEMPTS', limit: 5, window: 60 * 60 * 1000 },
+  CHECK_RULE: { key: 'CHECK_ATTEMPTS', limit: 10, window: 10 * 60 * 1000 },
+
+  getClientIp(request) {
+    return request.headers.get('CF-Connecting-IP') || 'unknown';
+  },
+
+  getAttemptKey(request, rule) {
+    return `${rule.key}:${this.getClientIp(request)}`;
+  },
+
+  async getAttempts(env, request, rule) {
+    try {
+      const attempts = await env.kv.get(this.getAttemptKey(request, rule));
+      const windowStart = Date.now() - rule.window;
+      return attempts ? JSON.parse(attempts).filter(timestamp => timestamp > windowStart) : [];
+    } catch {
+      return [];
+    }
+  },
+
+  async isRateLimited(env, request, rule = this.LOGIN_RULE) {
+    return (await this.getAttempts(env, request, rule)).length >= rule.limit;
+  },
+
+  async recordAttempt(env, request, rule = this.LOGIN_RULE) {
+    const attempts = await this.getAttempts(env, request, rule);
+    attempts.push(Date.now());
+    await env.kv.put(this.getAttemptKey(request, rule), JSON.stringify(attempts), {
+      expirationTtl: Math.max(60, rule.window / 1000)
+    });
+  },
+
+  async resetLoginAttempts(env, request) {
+    await env.kv.delete(this.getAttemptKey(request, this.LOGIN_RULE));
+  }
+};
+
+const VERDICT_LABELS = {
+  ok: '正常',
+  dns_poisoned: 'DNS 污染',
+  reset: '连接被重置',
+  tls_error: 'TLS 握手失败',
+  timeout: '请求超时',
+  http_error: '离线 (HTTP 错误)',
+  content_mismatch: '内容异常 (未找到关键词)',
+  network_error: '网络错误'
+};
+
+const BLOCKED_VERDICTS = ['dns_poisoned', 'reset', 'tls_error', 'timeout'];
+
+const DEFAULT_DOH_ENDPOINTS = ['https://dns.alidns.com/resolve'];
+
+const DEFAULT_POISONED_IPS = [
+  '0.0.0.0/8', '10.0.0.0/8', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12', '192.168.0.0/16', '240.0.0.0/4',
+  '8.7.198.45', '37.61.54.158', '46.82.174.68', '59.24.3.173', '64.33.88.161', '64.33.99.47', '64.66.163.251',
+  '65.104.202.252', '65.160.219.113', '66.45.252.237', '78.16.49.15', '93.46.8.89', '128.121.126.139',
+  '159.106.121.75', '169.132.13.103', '192.67.198.6', '202.106.1.2', '202.181.7.85', '203.98.7.65',
+  '203.161.230.171', '207.12.88.98', '208.56.31.43', '209.36.73.33', '209.145.54.50', '209.220.30.174',
+  '211.94.66.147', '213.169.251.35', '216.221.188.182', '216.234.179.13', '243.185.187.39'
+];
+
+function getProbeOptions(env) {
+  const parseList = value => String(value || '').split(/[,\s]+/).filter(item => item);
+  const dohEndpoints = parseList(env.DOH_ENDPOINTS);
+  const poisonedIps = parseList(env.POISONED_IPS);
+
+  return {
+    dohEndpoints: env.DOH_ENDPOINTS === 'off' ? [] : dohEndpoints.length ? dohEndpoints : DEFAULT_DOH_ENDPOINTS,
+    poisonedIps: poisonedIps.length ? poisonedIps : DEFAULT_POISONED_IPS
+  };
+}
+
+const PRIVATE_IP_RANGES = [
+  '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12',
+  '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/4', '240.0.0.0/4'
+];
+
+const DnsHelper = {
+  TIMEOUT: 5000,
+  LOCAL_RESOLVER: 'https://cloudflare-dns.com/dns-query',
+
+  async resolve(hostname, endpoint) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.TIMEOUT);
+
+    try {
+      const url = new URL(endpoint);
+      url.searchParams.set('name', hostname);
+      url.searchParams.set('type', 'A');
+
+      const response = await fetch(url.toString(), {
+        signal: controller.signal,
+        headers: { Accept: 'application/dns-json' }
+      });
+      if (!response.ok) return null;
+
+      const result = await response.json();
+      return (result.Answer || []).filter(answer => answer.type === 1).map(answer => answer.data);
+    } catch {
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  },
+
+  ipToNumber(ip) {
+    const parts = ip.split('.').map(part => parseInt(part, 10));
+    if (parts.length !== 4 || parts.some(part => !(part >= 0 && part <= 255))) return null;
+    return parts.reduce((sum, part) => sum * 256 + part, 0);
+  },
+
+  matchesRange(ip, range) {
+    const [base, bits = '32'] = range.split('/');
+    const address = this.ipToNumber(ip);
+    const network = this.ipToNumber(base);
+    if (address === null || network === null) return false;
+
+    const size = 2 ** (32 - parseInt(bits, 10));
+    return Math.floor(address / size) === Math.floor(network / size);
+  },
+
+  isPrivate(ip) {
+    return PRIVATE_IP_RANGES.some(range => this.matchesRange(ip, range));
+  },
+
+  async probe(hostname, { dohEndpoints = [], poisonedIps = [] } = {}) {
+    if (this.ipToNumber(hostname) !== null || !dohEndpoints.length) {
+      return { answers: {}, poisoned: [], inconsistent: false };
+    }
+
+    const results = await Promise.all(dohEndpoints.map(endpoint => this.resolve(hostname, endpoint)));
+    const answers = Object.fromEntries(dohEndpoints.map((endpoint, index) => [endpoint, results[index]]));
+    const resolved = results.filter(ips => ips && ips.length);
+
+    const poisoned = [...new Set(resolved.flat())]
+      .filter(ip => poisonedIps.some(range => this.matchesRange(ip, range)));
+    const inconsistent = resolved.length > 1 &&
+      resolved.some(ips => !ips.some(ip => resolved[0].includes(ip)));
+
+    return { answers, poisoned, inconsistent };
+  }
+};
+
+function classifyFetchError(error) {
+  if (error.name === 'AbortError') return 'timeout';
+
+  const message = String(error.message || error);
+  if (/tls|ssl|certificate|handshake/i.test(message)) return 'tls_error';
+  if (/reset|refused|closed|lost|ECONN|EPIPE/i.test(message)) return 'reset';
+  if (/timed? ?out/i.test(message)) return 'timeout';
+  return 'network_error';
+}
+
+function classifyHttpStatus(statusCode) {
+  if (statusCode === 522 || statusCode === 524) return 'timeout';
+  if (statusCode === 525 || statusCode === 526) return 'tls_error';
+  if (statusCode === 520 || statusCode === 521 || statusCode === 523) return 'reset';
+  return 'http_error';
+}
+
+async function probeHttp(site) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+  try {
+    const response = await fetch(site.url, {
+      method: 'GET',
+      signal: controller.signal,
+      redirect: site.expectedStatus.some(code => code >= 300 && code < 400) ? 'manual' : 'follow',
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; Status-Check/1.0)' },
+      cf: { cacheEverything: false, polish: 'off', country: 'CN' }
+    });
+
+    if (!site.expectedStatus.includes(response.status)) {
+      return { statusCode: response.status, verdict: classifyHttpStatus(response.status) };
+    }
+
+    const hasKeyword = !site.keyword || (await response.text()).includes(site.keyword);
+    return { statusCode: response.status, verdict: hasKeyword ? 'ok' : 'content_mismatch' };
+  } catch (error) {
+    return { statusCode: 0, verdict: classifyFetchError(error), error: String(error.message || error) };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+async function checkAllSitesStatus(sites, currentHostname, options = {}) {
+  return await Promise.all(sites.map(site => checkSingleSiteStatus(site, currentHostname, options)));
+}
+
+async function checkSingleSiteStatus(site, currentHostname, options = {}) {
+  const checkedAt = Date.now();
+  const targetHostname = new URL(site.url).hostname;
+
+  if (currentHostname === targetHostname) {
+    return { ...site, status: 'online', verdict: 'ok', statusCode: 200, statusText: '正常 (当前站点)', checkedAt };
+  }
+
+  const [dns, http] = await Promise.all([
+    DnsHelper.probe(targetHostname, options),
+    probeHttp(site)
+  ]);
+  const verdict = dns.poisoned.length ? 'dns_poisoned' : http.verdict;
+
+  return {
+    ...site,
+    status: verdict === 'ok' ? 'online' : 'offline',
+    verdict,
+    statusCode: http.statusCode,
+    statusText: VERDICT_LABELS[verdict],
+    dns,
+    http,
+    checkedAt
+  };
+}
+
+async function handleAdminPage(request, env, ctx) {
+  const storedHashedPassword = await env.kv.get('ADMIN_PASSWORD_HASH');
+
+  if (!storedHashedPassword) {
+    if (request.method === 'POST') {
+      const formData = await request.formData();
+      if (formData.get('action') === 'set_password') {
+        const newPassword = formData.get('new_password');
+        const confirmPassword = formData.get('confirm_password');
+
+        if (newPassword && newPassword === confirmPassword) {
+          if (newPassword.length < 8) {
+            return ResponseHelper.html(generatePasswordSetupPage('密码长度至少8位'));
+          }
+
+          const hashedPassword = await PasswordHelper.hashPassword(newPassword);
+          await env.kv.put('ADMIN_PASSWORD_HASH', hashedPassword);
+          await AuditManager.record(env, request, 'password_set');
+          return renderAdminPage(env, await SessionHelper.createSession(env), '密码设置成功！');
+        }
+        return ResponseHelper.html(generatePasswordSetupPage('密码设置失败：两次输入的密码不一致'));
+      }
+    }
+    return ResponseHelper.html(generatePasswordSetupPage());
+  }
+
+  const session = await SessionHelper.getSession(env, request);
+
+  if (request.method !== 'POST') {
+    return session
+      ? renderAdminPage(env, session)
+      : ResponseHelper.html(generatePasswordLoginPage());
+  }
+
+  const formData = await request.formData();
+  const action = formData.get('action');
+
+  if (action === 'login') {
+    if (await SecurityHelper.isRateLimited(env, request)) {
+      return ResponseHelper.html(generatePasswordLoginPage('尝试次数过多，请1小时后再试'));
+    }
+
+    const inputPassword = formData.get('password');
+    const isValid = await PasswordHelper.verifyPassword(inputPassword, storedHashedPassword);
+
+    if (!isValid) {
+      await SecurityHelper.recordAttempt(env, request);
+      await AuditManager.record(env, request, 'login_failed');
+      return ResponseHelper.html(generatePasswordLoginPage('密码错误，请重新输入'));
+    }
+
+    if (PasswordHelper.needsRehash(storedHashedPassword)) {
+      await env.kv.put('ADMIN_PASSWORD_HASH', await PasswordHelper.hashPassword(inputPassword));
+    }
+
+    await SecurityHelper.resetLoginAttempts(env, request);
+    await AuditManager.record(env, request, 'login');
+    return renderAdminPage(env, await SessionHelper.createSession(env), '登录成功！');
+  }
+
+  if (!session) {
+    return ResponseHelper.html(generatePasswordLoginPage('登录已过期，请重新输入密码'), 401);
+  }
+
+  if (!SessionHelper.verifyCsrf(session, formData.get('csrf_token'))) {
+    return renderAdminPage(env, session, '操作失败：页面已过期，请刷新后重试', 403);
+  }
+
+  if (action === 'save') {
+    try {
+      await ConfigManager.saveSites(env, ConfigManager.parseSiteForm(formData), request, '管理页面');
+      ctx.waitUntil(refreshSnapshot(env, new URL(request.url).hostname));
+      return ResponseHelper.redirect(new URL('/', request.url).toString());
+    } catch (error) {
+      return renderAdminPage(env, session, '保存失败：' + error.message);
+    }
+  }
+
+  if (action === 'invalid_discard') {
+    await ConfigManager.discardInvalidEntries(env);
+    return renderAdminPage(env, session, '已删除无法识别的条目');
+  }
+
+  if (action === 'check_now') {
+    await refreshSnapshot(env, new URL(request.url).hostname);
+    return ResponseHelper.redirect(new URL('/', request.url).toString());
+  }
+
+  if (action === 'change_password') {
+    const oldPassword = formData.get('old_password');
+    const newPassword = formData.get('new_password');
+
+    if (!await PasswordHelper.verifyPassword(oldPassword, storedHashedPassword)) {
+      return renderAdminPage(env, session, '修改失败：原密码错误');
+    }
+    if (!newPassword || newPassword !== formData.get('confirm_password')) {
+      return renderAdminPage(env, session, '修改失败：两次输入的新密码不一致');
+    }
+    if (newPassword.length < 8) {
+      return renderAdminPage(env, session, '修改失败：密码长度至少8位');
+    }
+
+    await env.kv.put('ADMIN_PASSWORD_HASH', await PasswordHelper.hashPassword(newPassword));
+    await SessionHelper.rotateSecret(env);
+    await AuditManager.record(env, request, 'password_change');
+    return renderAdminPage(env, await SessionHelper.createSession(env), '密码修改成功！');
+  }
+
+  if (String(action).startsWith('notify_')) {
+    return handleNotificationAction(env, session, action, formData);
+  }
+
+  if (action === 'token_create') {
+    try {
+      const token = await ApiTokenManager.createToken(env, formData.get('token_name'), formData.get('token_scope'));
+      return renderAdminPage(env, session, 'API 令牌已创建，请立即复制保存', 200, { createdToken: token });
+    } catch (error) {
+      return renderAdminPage(env, session, '创建失败：' + error.message);
+    }
+  }
+
+  if (action === 'token_revoke') {
+    await ApiTokenManager.revokeToken(env, formData.get('token_id'));
+    return renderAdminPage(env, session, 'API 令牌已撤销');
+  }
+
+  if (action === 'add_site') {
+    try {
+      const definitions = (await ConfigManager.getSites(env)).map(ConfigManager.toDefinition);
+      const site = ConfigManager.normalizeSite(formData.get('host'));
+      if (definitions.some(item => item.host === site.host)) {
+        return renderAdminPage(env, session, `${site.host} 已在监控列表中`);
+      }
+
+      await ConfigManager.saveSites(env, [...definitions, site], request, '添加网站');
+      ctx.waitUntil(refreshSnapshot(env, new URL(request.url).hostname));
+      return renderAdminPage(env, session, `已添加 ${site.host} 到监控列表`);
+    } catch (error) {
+      return renderAdminPage(env, session, '添加失败：' + error.message);
+    }
+  }
+
+  if (action === 'config_restore') {
+    const revisionId = parseInt(formData.get('revision_id'), 10);
+    const revision = await RevisionManager.getRevision(env, revisionId);
+    if (!revision) {
+      return renderAdminPage(env, session, '恢复失败：该版本不存在或已被清理');
+    }
+
+    try {
+      await ConfigManager.saveSites(env, revision, request, `恢复 #${revisionId}`);
+      await AuditManager.record(env, request, 'config_restore', `#${revisionId}`);
+      ctx.waitUntil(refreshSnapshot(env, new URL(request.url).hostname));
+      return renderAdminPage(env, session, `已恢复到版本 #${revisionId}`);
+    } catch (error) {
+      return renderAdminPage(env, session, '恢复失败：' + error.message);
+    }
+  }
+
+  if (action === 'agent_create') {
+    try {
+      const createdAgent = await AgentManager.createAgent(env, {
+        name: formData.get('agent_name'),
+        region: formData.get('agent_region'),
+        isp: formData.get('agent_isp')
+      });
+      return renderAdminPage(env, session, '探测节点已添加，请立即保存节点密钥', 200, { createdAgent });
+    } catch (error) {
+      return renderAdminPage(env, session, '添加失败：' + error.message);
+    }
+  }
+
+  if (action === 'agent_delete') {
+    await AgentManager.deleteAgent(env, formData.get('agent_id'));
+    return renderAdminPage(env, session, '探测节点已删除');
+  }
+
+  if (action === 'import_preview') {
+    try {
+      const definitions = (await ConfigManager.getSites(env)).map(ConfigManager.toDefinition);
+      const parsed = DomainListHelper.parse(String(formData.get('import_text') || ''), formData.get('import_format'));
+      const importPreview = DomainListHelper.diff(definitions, parsed);
+      if (!importPreview.added.length && !importPreview.updated.length) {
+        return renderAdminPage(env, session, '导入失败：没有可导入的新网站', 200, { importPreview });
+      }
+      return renderAdminPage(env, session, '', 200, { importPreview });
+    } catch (error) {
+      return renderAdminPage(env, session, '导入失败：' + error.message);
+    }
+  }
+
+  if (action === 'import_apply') {
+    try {
+      const definitions = (await ConfigManager.getSites(env)).map(ConfigManager.toDefinition);
+      const data = JSON.parse(formData.get('import_data') || '[]');
+      if (!Array.isArray(data)) throw new Error('导入数据无效，请重新预览');
+      const incoming = data.map(entry => ConfigManager.normalizeSite(entry));
+      const merged = new Map(definitions.map(site => [site.host, site]));
+      incoming.forEach(site => merged.set(site.host, site));
+
+      await ConfigManager.saveSites(env, [...merged.values()], request, '导入');
+      ctx.waitUntil(refreshSnapshot(env, new URL(request.url).hostname));
+      return renderAdminPage(env, session, `导入成功：共导入 ${incoming.length} 个网站`);
+    } catch (error) {
+      return renderAdminPage(env, session, '导入失败：' + error.message);
+    }
+  }
+
+  return renderAdminPage(env, session);
+}
+
+async function handleExport(request, env) {
+  const session = await SessionHelper.getSession(env, request);
+  if (!session) {
+    return ResponseHelper.redirect(new URL('/admin', request.url).toString());
+  }
+
+  const format = new URL(request.url).searchParams.get('format') || 'json';
+  if (!DomainListHelper.FORMATS[format] || format === 'auto' || format === 'plain') {
+    return ResponseHelper.error('不支持的导出格式', 400);
+  }
+
+  const definitions = (await ConfigManager.getSites(env)).map(ConfigManager.toDefinition);
+  const content = format === 'json'
+    ? JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), sites: definitions }, null, 2)
+    : DomainListHelper.serialize(definitions.map(site => site.host), format);
+  const extension = { json: 'json', gfwlist: 'txt', clash: 'yaml', surge: 'list', hosts: 'hosts' }[format];
+
+  return new Response(content, {
+    headers: {
+      'Content-Type': format === 'json' ? 'application/json; charset=UTF-8' : 'text/plain; charset=UTF-8',
+      'Content-Disposition': `attachment; filename="sites-${format}.${extension}"`,
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+async function handleNotificationAction(env, session, action, formData) {
+  const config = await NotificationManager.getConfig(env);
+  const channelId = formData.get('channel_id');
+
+  if (action === 'notify_settings') {
+    const threshold = parseInt(formData.get('threshold'), 10);
+    if (!(threshold >= 1 && threshold <= 100)) {
+      return renderAdminPage(env, session, '保存失败：连续失败次数需在 1-100 之间');
+    }
+    await NotificationManager.saveConfig(env, { ...config, threshold });
+    return renderAdminPage(env, session, '通知设置已保存');
+  }
+
+  if (action === 'notify_add') {
+    try {
+      config.channels.push(NotificationManager.parseChannel(formData));
+      await NotificationManager.saveConfig(env, config);
+      return renderAdminPage(env, session, '通知渠道已添加');
+    } catch (error) {
+      return renderAdminPage(env, session, '添加失败：' + error.message);
+    }
+  }
+
+  if (action === 'notify_delete') {
+    config.channels = config.channels.filter(channel => channel.id !== channelId);
+    await NotificationManager.saveConfig(env, config);
+    return renderAdminPage(env, session, '通知渠道已删除');
+  }
+
+  if (action === 'notify_test') {
+    const channel = config.channels.find(item => item.id === channelId);
+    if (!channel) {
+      return renderAdminPage(env, session, '测试失败：通知渠道不存在');
+    }
+
+    try {
+      await NotificationManager.send(channel, NotificationManager.buildMessage('test'));
+      return renderAdminPage(env, session, '测试通知已发送');
+    } catch (error) {
+      await NotificationManager.recordFailures(env, [{ channel, error }]);
+      return renderAdminPage(env, session, '测试失败：' + error.message);
+    }
+  }
+
+  if (action === 'notify_clear_log') {
+    await NotificationManager.clearLog(env);
+    return renderAdminPage(env, session, '发送失败记录已清空');
+  }
+
+  return renderAdminPage(env, session);
+}
+
+async function handleLogout(request, env) {
+  const loginUrl = new URL('/admin', request.url).toString();
+  if (request.method !== 'POST') {
+    return ResponseHelper.redirect(loginUrl);
+  }
+
+  const session = await SessionHelper.getSession(env, request);
+  const formData = await request.formData();
+  if (session && !SessionHelper.verifyCsrf(session, formData.get('csrf_token'))) {
+    return ResponseHelper.redirect(loginUrl);
+  }
+  if (session) {
+    await SessionHelper.revokeSession(env, session);
+    await AuditManager.record(env, request, 'logout');
+  }
+
+  return ResponseHelper.redirect(loginUrl, 302, { 'Set-Cookie': SessionHelper.clearCookie() });
+}
+
+async function renderAdminPage(env, session, message = '', status = 200, extra = {}) {
+  const [sites, invalidEntries, notifyConfig, notifyLog, apiTokens, agents, revisions, auditLog] = await Promise.all([
+    ConfigManager.getSites(env),
+    ConfigManager.getInvalidEntries(env),
+    NotificationManager.getConfig(env),
+    NotificationManager.getLog(env),
+    ApiTokenManager.getTokens(env),
+    AgentManager.getAgents(env),
+    RevisionManager.getRevisions(env),
+    AuditManager.getLog(env)
+  ]);
+  const agentResults = await Promise.all(agents.map(agent => AgentManager.getResults(env, agent.id)));
+  const agentStatus = agents.map((agent, index) => ({
+    ...agent,
+    lastSeenAt: agentResults[index] ? agentResults[index].receivedAt : null,
+    stale: !agentResults[index] || Date.now() - agentResults[index].receivedAt > AgentManager.getStaleAfter(env)
+  }));
+  const headers = session.cookie ? { 'Set-Cookie': session.cookie } : {};
+  const data = { sites, invalidEntries, notifyConfig, notifyLog, apiTokens, agents: agentStatus, revisions, auditLog, ...extra, csrfToken: session.csrfToken };
+  return ResponseHelper.html(generateAdminPage(message, data), status, headers);
+}
+
+async function handleSiteDetailPage(request, env) {
+  const hostname = decodeHostname(new URL(request.url).pathname.slice('/site/'.length));
+  const sites = await ConfigManager.getSites(env);
+  const site = sites.find(item => item.hostname === hostname);
+
+  if (!site) {
+    return ResponseHelper.html(generateNotFoundPage(), 404);
+  }
+
+  const snapshot = await SnapshotManager.getSnapshot(env);
+  const current = snapshot ? (await AgentManager.attachResults(env, snapshot)).sites.find(item => item.hostname === hostname) : null;
+  const history = await HistoryManager.getHistory(env, hostname);
+
+  return ResponseHelper.html(generateSiteDetailPage({ ...site, ...current }, history, new URL(request.url).origin));
+}
+
+async function handleAgentRequest(request, env) {
+  const url = new URL(request.url);
+  const body = request.method === 'POST' ? await request.text() : '';
+
+  const agent = await AgentManager.authenticate(env, request, body);
+  if (!agent) {
+    return ResponseHelper.jsonError('unauthorized', '节点签名无效或已过期', 401);
+  }
+
+  const sites = await ConfigManager.getSites(env);
+
+  if (url.pathname === '/agent/sites' && request.method === 'GET') {
+    return ResponseHelper.json({
+      interval: getCheckInterval(env),
+      poisonedIps: getProbeOptions(env).poisonedIps,
+      sites: sites.map(site => ({
+        host: site.hostname,
+        url: site.url,
+        expectedStatus: site.expectedStatus,
+        keyword: site.keyword
+      }))
+    });
+  }
+
+  if (url.pathname === '/agent/results' && request.method === 'POST') {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch {
+      return ResponseHelper.jsonError('invalid_json', '请求体不是有效的 JSON', 400);
+    }
+    if (!data || typeof data !== 'object' || !Array.isArray(data.results)) {
+      return ResponseHelper.jsonError('invalid_request', '请求体需要包含 results 数组', 400);
+    }
+
+    const signedAt = Number(request.headers.get('X-Agent-Timestamp'));
+    const previous = await AgentManager.getResults(env, agent.id);
+    if (previous && previous.signedAt >= signedAt) {
+      return ResponseHelper.jsonError('replayed', '该请求已处理过或早于上次上报', 409);
+    }
+
+    const accepted = await AgentManager.saveResults(env, agent, data.results, sites, signedAt);
+    return ResponseHelper.json({ accepted });
+  }
+
+  return ResponseHelper.jsonError('not_found', '接口不存在', 404);
+}
+
+async function handleRulesRequest(request, env) {
+  const url = new URL(request.url);
+  const rules = {
+    '/rules/proxy.pac': { format: 'pac', contentType: 'application/x-ns-proxy-autoconfig' },
+    '/rules/clash.yaml': { format: 'clash', contentType: 'text/yaml; charset=UTF-8' },
+    '/rules/surge.list': { format: 'surge', contentType: 'text/plain; charset=UTF-8' }
+  }[url.pathname];
+
+  if (!rules) {
+    return ResponseHelper.error('Not Found', 404);
+  }
+
+  const proxy = url.searchParams.get('proxy') || 'SOCKS5 127.0.0.1:1080; DIRECT';
+  if (!/^[A-Za-z0-9 .:;_[\]-]+$/.test(proxy)) {
+    return ResponseHelper.error('无效的代理参数', 400);
+  }
+
+  const includeOffline = ['1', 'true'].includes(url.searchParams.get('offline'));
+  const snapshot = await SnapshotManager.getSnapshot(env);
+  const hosts = (snapshot ? snapshot.sites : [])
+    .filter(site => BLOCKED_VERDICTS.includes(site.verdict) || (includeOffline && site.status !== 'online'))
+    .map(site => site.hostname);
+
+  return new Response(DomainListHelper.serialize(hosts, rules.format, { proxy }), {
+    headers: {
+      'Content-Type': rules.contentType,
+      'Cache-Control': 'public, max-age=300',
+      ...(snapshot ? { 'Last-Modified': new Date(snapshot.checkedAt).toUTCString() } : {})
+    }
+  });
+}
+
+function normalizeCheckDomain(input) {
+  const value = String(input || '').trim();
+  if (!value) throw new Error('请输入要检测的域名');
+
+  const host = ConfigManager.normalizeSite(value).host;
+  if (host.includes(':')) {
+    throw new Error('不支持指定端口');
+  }
+  if (DnsHelper.ipToNumber(host) !== null) {
+    throw new Error('不支持检测 IP 地址');
+  }
+  if (!host.includes('.') || /(^|\.)(localhost|localdomain|local|internal|intranet|lan|home|corp|home\.arpa|test|invalid)$/.test(host)) {
+    throw new Error('不支持检测内部主机名');
+  }
+  return host;
+}
+
+async function handleCheckRequest(request, env) {
+  const url = new URL(request.url);
+  const wantsJson = url.searchParams.get('format') === 'json' ||
+    (request.headers.get('Accept') || '').includes('application/json');
+  const session = wantsJson ? null : await SessionHelper.getSession(env, request);
+  const input = url.searchParams.get('domain');
+
+  const respond = (data, status = 200, headers = {}) => wantsJson
+    ? (data.error ? ResponseHelper.jsonError(data.code, data.error, status, headers) : ResponseHelper.json(data, status, headers))
+    : ResponseHelper.html(generateCheckPage({ input, ...data, csrfToken: session && session.csrfToken }), status, headers);
+
+  if (input === null) {
+    return wantsJson
+      ? ResponseHelper.jsonError('invalid_domain', '请输入要检测的域名', 400)
+      : ResponseHelper.html(generateCheckPage({ csrfToken: session && session.csrfToken }));
+  }
+
+  let domain;
+  try {
+    domain = normalizeCheckDomain(input);
+  } catch (error) {
+    return respond({ error: error.message, code: 'invalid_domain' }, 400);
+  }
 
-    } catch (error) {
-      return ResponseHelper.error('服务器内部错误');
-    }
+  const cacheKey = `CHECK_CACHE:${domain}`;
+  const cached = await env.kv.get(cacheKey);
+  if (cached) {
+    return respond({ ...JSON.parse(cached), cached: true });
   }
-};
 
-const PasswordHelper = {
-  async hashPassword(password) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(password);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  },
+  if (await SecurityHelper.isRateLimited(env, request, SecurityHelper.CHECK_RULE)) {
+    return respond({ error: '检测过于频繁，请稍后再试', code: 'rate_limited' }, 429, { 'Retry-After': '600' });
+  }
+  try {
+    await SecurityHelper.recordAttempt(env, request, SecurityHelper.CHECK_RULE);
+  } catch {
+    return respond({ error: '检测过于频繁，请稍后再试', code: 'rate_limited' }, 429, { 'Retry-After': '60' });
+  }
 
-  async verifyPassword(password, hashedPassword) {
-    const hashedInput = await this.hashPassword(password);
-    return hashedInput === hashedPassword;
+  const addresses = await DnsHelper.resolve(domain, DnsHelper.LOCAL_RESOLVER);
+  if (!addresses) {
+    return respond({ error: '域名解析失败，请稍后再试', code: 'resolve_failed' }, 502);
+  }
+  if (addresses.some(ip => DnsHelper.isPrivate(ip))) {
+    return respond({ error: '不支持检测解析到内网地址的域名', code: 'invalid_domain' }, 400);
   }
-};
 
-const SecurityHelper = {
-  async isRateLimited(env, request) {
-    const attemptKey = 'LOGIN_ATTEMPTS';
-    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
-    const oneHourAgo = Date.now() - 60 * 60 * 1000;
+  const site = ConfigManager.toSite(ConfigManager.normalizeSite(domain));
+  const status = await checkSingleSiteStatus(site, url.hostname, getProbeOptions(env));
+  const result = {
+    domain,
+    status: status.status,
+    verdict: status.verdict,
+    statusCode: status.statusCode,
+    statusText: status.statusText,
+    checkedAt: new Date(status.checkedAt).toISOString(),
+    dns: status.dns
+  };
+
+  await env.kv.put(cacheKey, JSON.stringify(result), { expirationTtl: 300 });
+  return respond({ ...result, cached: false });
+}
 
-    let attempts = await env.kv.get(attemptKey);
-    attempts = attempts ? JSON.parse(attempts) : [];
+async function handleBadgeRequest(request, env) {
+  const match = new URL(request.url).pathname.match(/^\/badge\/(.+)\.svg$/);
+  const hostname = match ? decodeHostname(match[1]) : '';
+
+  const snapshot = await SnapshotManager.getSnapshot(env);
+  const site = snapshot ? snapshot.sites.find(item => item.hostname === hostname) : null;
+
+  let badge = { message: 'unknown', color: '#9f9f9f' };
+  if (site && site.verdict === 'ok') {
+    badge = { message: 'accessible', color: '#4c1' };
+  } else if (site && site.verdict === 'timeout') {
+    badge = { message: 'timeout', color: '#fe7d37' };
+  } else if (site && BLOCKED_VERDICTS.includes(site.verdict)) {
+    badge = { message: 'blocked', color: '#e05d44' };
+  } else if (site) {
+    badge = { message: 'offline', color: '#dfb317' };
+  }
 
-    const recentAttempts = attempts.filter(attempt =>
-      attempt.ip === ip && attempt.timestamp > oneHourAgo
-    );
+  return new Response(generateBadgeSvg('GFW', badge.message, badge.color), {
+    headers: {
+      'Content-Type': 'image/svg+xml; charset=UTF-8',
+      'Cache-Control': 'public, max-age=300'
+    }
+  });
+}
 
-    return recentAttempts.length >= 5;
-  },
+function generateBadgeSvg(label, message, color) {
+  const textWidth = text => Math.round(text.length * 6.5) + 10;
+  const labelWidth = textWidth(label);
+  const messageWidth = textWidth(message);
+  const width = labelWidth + messageWidth;
 
-  async recordLoginAttempt(env, request) {
-    const attemptKey = 'LOGIN_ATTEMPTS';
-    const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
-    const timestamp = Date.now();
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${label}: ${message}"><title>${label}: ${message}</title><linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient><clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath><g clip-path="url(#r)"><rect width="${labelWidth}" height="20" fill="#555"/><rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/><rect width="${width}" height="20" fill="url(#s)"/></g><g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11"><text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${label}</text><text x="${labelWidth / 2}" y="14">${label}</text><text x="${labelWidth + messageWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${message}</text><text x="${labelWidth + messageWidth / 2}" y="14">${message}</text></g></svg>`;
+}
 
-    let attempts = await env.kv.get(attemptKey);
-    attempts = attempts ? JSON.parse(attempts) : [];
+async function handleFeedRequest(request, env) {
+  const origin = new URL(request.url).origin;
+  const sites = await ConfigManager.getSites(env);
+  const histories = await HistoryManager.getHistories(env);
 
-    attempts.push({ ip, timestamp });
-    const oneHourAgo = timestamp - 60 * 60 * 1000;
-    attempts = attempts.filter(attempt => attempt.timestamp > oneHourAgo);
+  const events = sites.flatMap(site =>
+    (histories[site.hostname] || HistoryManager.createEmpty()).incidents.map(incident => ({ site, incident }))
+  ).sort((a, b) => b.incident.timestamp - a.incident.timestamp).slice(0, 50);
 
-    await env.kv.put(attemptKey, JSON.stringify(attempts), { expirationTtl: 3600 });
-  },
+  const updated = new Date(events.length ? events[0].incident.timestamp : Date.now()).toISOString();
+  const entries = events.map(({ site, incident }) => {
+    const title = incident.type === 'blocked' ? `${site.name} 不可访问` : `${site.name} 已恢复`;
+    const timestamp = new Date(incident.timestamp).toISOString();
+    const link = `${origin}/site/${encodeURIComponent(site.hostname)}`;
 
-  async resetLoginAttempts(env) {
-    await env.kv.delete('LOGIN_ATTEMPTS');
-  }
-};
+    return `<entry><id>${link}#${incident.timestamp}</id><title>${escapeHtml(title)}</title><updated>${timestamp}</updated><link href="${escapeHtml(link)}"/><content type="text">${escapeHtml(`${site.displayUrl}：${incident.statusText}（状态码 ${incident.statusCode}），${getBeijingTime(incident.timestamp)}`)}</content></entry>`;
+  }).join('');
 
-async function checkAllSitesStatus(sites, request) {
-  return await Promise.all(sites.map(site => checkSingleSiteStatus(site, request)));
+  const feed = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom"><id>${origin}/feed.atom</id><title>网站导航 - 状态变化</title><updated>${updated}</updated><link rel="self" href="${origin}/feed.atom"/><link href="${origin}/"/><author><name>GFW-DomainChecker</name></author>${entries}</feed>`;
+
+  return new Response(feed, {
+    headers: {
+      'Content-Type': 'application/atom+xml; charset=UTF-8',
+      'Cache-Control': 'public, max-age=300'
+    }
+  });
 }
 
-async function checkSingleSiteStatus(site, request) {
+async function handleApiRequest(request, env, ctx) {
   try {
-    const currentHostname = new URL(request.url).hostname;
-    const targetHostname = new URL(site.url).hostname;
-
-    if (currentHostname === targetHostname) {
-      return { ...site, status: 'online', statusCode: 200, statusText: '正常 (当前站点)' };
+    const url = new URL(request.url);
+    const [, , resource, ...rest] = url.pathname.split('/');
+    const path = rest.join('/');
+    const hostname = path ? decodeHostname(path) : '';
+    if (path && !hostname) {
+      return ResponseHelper.jsonError('not_found', '接口不存在', 404);
     }
+    const isRead = request.method === 'GET' || request.method === 'HEAD';
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 10000);
+    const token = await ApiTokenManager.authenticate(env, request);
+    if (!token) {
+      return ResponseHelper.jsonError('unauthorized', '缺少或无效的 API 令牌', 401, { 'WWW-Authenticate': 'Bearer' });
+    }
+    if (!isRead && token.scope !== 'write') {
+      return ResponseHelper.jsonError('forbidden', '该令牌没有写入权限', 403);
+    }
 
-    const response = await fetch(site.url, {
-      method: 'GET',
-      signal: controller.signal,
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; Status-Check/1.0)' },
-      cf: { cacheEverything: false, polish: 'off', country: 'CN' }
-    });
+    if (resource === 'status' && isRead) {
+      return await handleApiStatus(env, hostname);
+    }
 
-    clearTimeout(timeoutId);
+    if (resource === 'sites') {
+      return await handleApiSites(request, env, ctx, hostname);
+    }
 
-    const isOnline = response.status === 200;
-    return {
-      ...site,
-      status: isOnline ? 'online' : 'offline',
-      statusCode: response.status,
-      statusText: isOnline ? '正常' : '离线'
-    };
+    return ResponseHelper.jsonError('not_found', '接口不存在', 404);
   } catch (error) {
-    return {
-      ...site,
-      status: 'offline',
-      statusCode: 0,
-      statusText: error.name === 'AbortError' ? '请求超时' : '被墙或网络错误'
-    };
+    return ResponseHelper.jsonError('internal_error', '服务器内部错误', 500);
   }
 }
 
-async function getCurrentUrls(env) {
-  try {
-    const config = await env.kv.get('SITES_CONFIG');
-    return config ? JSON.parse(config).join('\n') : '';
-  } catch {
-    return '';
+function toApiStatus(site) {
+  return {
+    host: site.hostname,
+    name: site.name,
+    group: site.group,
+    url: site.url,
+    status: site.status,
+    verdict: site.verdict,
+    statusCode: site.statusCode,
+    statusText: site.statusText,
+    checkedAt: new Date(site.checkedAt).toISOString(),
+    uptime: site.uptime
+  };
+}
+
+async function handleApiStatus(env, hostname) {
+  const snapshot = await SnapshotManager.getSnapshot(env);
+  const sites = snapshot ? snapshot.sites : [];
+
+  if (hostname) {
+    const site = sites.find(item => item.hostname === hostname);
+    return site
+      ? ResponseHelper.json(toApiStatus(site))
+      : ResponseHelper.jsonError('not_found', '该域名不在监控列表中或尚未检测', 404);
   }
+
+  return ResponseHelper.json({
+    checkedAt: snapshot ? new Date(snapshot.checkedAt).toISOString() : null,
+    sites: sites.map(toApiStatus)
+  });
 }
 
-async function handleAdminPage(request, env) {
-  const storedHashedPassword = await env.kv.get('ADMIN_PASSWORD_HASH');
+async function handleApiSites(request, env, ctx, hostname) {
+  const definitions = (await ConfigManager.getSites(env)).map(ConfigManager.toDefinition);
+  const index = hostname ? definitions.findIndex(site => site.host === hostname) : -1;
 
-  if (!storedHashedPassword) {
-    if (request.method === 'POST') {
-      const formData = await request.formData();
-      if (formData.get('action') === 'set_password') {
-        const newPassword = formData.get('new_password');
-        const confirmPassword = formData.get('confirm_password');
+  if (hostname && index === -1 && request.method !== 'POST') {
+    return ResponseHelper.jsonError('not_found', '该域名不在监控列表中', 404);
+  }
 
-        if (newPassword && newPassword === confirmPassword) {
-          if (newPassword.length < 8) {
-            return ResponseHelper.html(generatePasswordSetupPage('密码长度至少8位'));
-          }
+  if (request.method === 'GET' || request.method === 'HEAD') {
+    return ResponseHelper.json(hostname ? definitions[index] : { sites: definitions });
+  }
 
-          const hashedPassword = await PasswordHelper.hashPassword(newPassword);
-          await env.kv.put('ADMIN_PASSWORD_HASH', hashedPassword);
-          const currentUrls = await getCurrentUrls(env);
-          return ResponseHelper.html(generateAdminPage('密码设置成功！', currentUrls));
-        }
-        return ResponseHelper.html(generatePasswordSetupPage('密码设置失败：两次输入的密码不一致'));
+  if (request.method === 'DELETE' && hostname) {
+    definitions.splice(index, 1);
+    await ConfigManager.saveSites(env, definitions, request, 'API');
+    ctx.waitUntil(refreshSnapshot(env, new URL(request.url).hostname));
+    return ResponseHelper.json({ deleted: hostname });
+  }
+
+  if (!['POST', 'PUT'].includes(request.method) || (request.method === 'POST' && hostname)) {
+    return ResponseHelper.jsonError('method_not_allowed', '不支持该请求方法', 405);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return ResponseHelper.jsonError('invalid_json', '请求体不是有效的 JSON', 400);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ResponseHelper.jsonError('invalid_request', '请求体需要是 JSON 对象', 400);
+  }
+
+  try {
+    let result;
+    if (request.method === 'POST') {
+      const site = ConfigManager.normalizeSite(body);
+      if (definitions.some(item => item.host === site.host)) {
+        return ResponseHelper.jsonError('conflict', '该域名已存在', 409);
+      }
+      await ConfigManager.saveSites(env, [...definitions, site], request, 'API');
+      result = ResponseHelper.json(site, 201);
+    } else if (hostname) {
+      const site = ConfigManager.normalizeSite({ ...definitions[index], ...body });
+      if (site.host !== hostname && definitions.some(item => item.host === site.host)) {
+        return ResponseHelper.jsonError('conflict', '该域名已存在', 409);
+      }
+      definitions[index] = site;
+      await ConfigManager.saveSites(env, definitions, request, 'API');
+      result = ResponseHelper.json(site);
+    } else {
+      if (!Array.isArray(body.sites)) {
+        return ResponseHelper.jsonError('invalid_request', '请求体需要包含 sites 数组', 400);
       }
+      result = ResponseHelper.json({ sites: await ConfigManager.saveSites(env, body.sites, request, 'API') });
     }
-    return ResponseHelper.html(generatePasswordSetupPage());
+
+    ctx.waitUntil(refreshSnapshot(env, new URL(request.url).hostname));
+    return result;
+  } catch (error) {
+    return ResponseHelper.jsonError('invalid_site', error.message, 400);
   }
+}
 
-  if (request.method === 'POST') {
-    const formData = await request.formData();
-    const action = formData.get('action');
+function generateAdminPage(message = '', { sites = [], invalidEntries = [], notifyConfig, notifyLog = [], apiTokens, createdToken = '', importPreview = null, agents, createdAgent = null, revisions = [], auditLog = [], csrfToken = '' } = {}) {
 
-    if (action === 'login') {
-      if (await SecurityHelper.isRateLimited(env, request)) {
-        return ResponseHelper.html(generatePasswordLoginPage('尝试次数过多，请1小时后再试'));
-      }
+  const styles = BASE_STYLES + `.container{max-width:1100px}textarea{width:100%;height:150px;padding:20px;border:2px solid rgba(0,150,255,.4);border-radius:12px;font-family:'Courier New',monospace;background:rgba(0,30,60,.6);color:#e0f7ff;font-size:16px;resize:vertical;transition:all .3s ease}textarea:focus{outline:none;border-color:#00b4d8;box-shadow:0 0 0 3px rgba(0,180,216,.3),0 0 20px rgba(0,150,255,.3)}textarea::placeholder{color:rgba(224,247,255,.6)}button{background:linear-gradient(135deg,#0077b6 0%,#00b4d8 100%);color:#000814;border:none;padding:15px 30px;border-radius:25px;cursor:pointer;margin:10px;font-size:16px;font-weight:600;transition:all .3s ease;min-width:150px}button:hover{transform:translateY(-2px);box-shadow:0 10px 20px rgba(0,0,0,.3),0 0 30px rgba(0,180,216,.4);background:linear-gradient(135deg,#00b4d8 0%,#0077b6 100%)}button.home{background:linear-gradient(135deg,#00b4d8 0%,#0096c7 100%)}button.home:hover{background:linear-gradient(135deg,#0096c7 0%,#00b4d8 100%)}.current-count{color:rgba(224,247,255,.9);font-size:16px;margin-top:10px;font-weight:600}.instructions{background:rgba(0,30,60,.6);padding:20px;border-radius:10px;margin:20px 0;text-align:left;font-size:14px;line-height:1.5;color:#b3e0ff}.button-group{display:flex;justify-content:center;gap:15px;flex-wrap:wrap;margin:25px 0}.form-group{margin-bottom:25px}label{display:block;font-size:18px;margin-bottom:12px;font-weight:600;color:rgba(224,247,255,.95)}.section{border-top:1px solid rgba(0,150,255,.3);margin-top:30px;padding-top:30px}.section h2{font-size:1.3rem;margin-bottom:20px;color:#a0d0ff}input{width:100%;padding:15px;border:2px solid rgba(0,150,255,.4);border-radius:10px;background:rgba(0,30,60,.6);color:#e0f7ff;font-size:16px;margin-bottom:15px;transition:all .3s ease}input:focus{outline:none;border-color:#00b4d8;box-shadow:0 0 0 3px rgba(0,180,216,.3),0 0 20px rgba(0,150,255,.3)}input::placeholder{color:rgba(224,247,255,.6)}button.danger{background:linear-gradient(135deg,#c1121f 0%,#ff6b6b 100%)}.site-table-wrap{overflow-x:auto}.site-table{width:100%;border-collapse:collapse;font-size:14px}.site-table th{color:#a0d0ff;font-weight:600;padding:8px 4px;text-align:left;white-space:nowrap}.site-table td{padding:4px}.site-table input,.site-table select{margin:0;padding:8px 10px;font-size:14px;border-radius:8px;min-width:80px}.site-table select{width:100%;border:2px solid rgba(0,150,255,.4);background:rgba(0,30,60,.6);color:#e0f7ff}.site-table button{margin:0;padding:8px 12px;min-width:0;border-radius:8px}.item-list{list-style:none;text-align:left;font-size:14px;line-height:1.6;margin-bottom:20px}.item-list li{display:flex;justify-content:space-between;align-items:center;gap:10px;padding:8px 0;border-bottom:1px solid rgba(0,150,255,.15)}.item-list .error-text{color:#ff6b6b}.item-list .muted{color:#a0d0ff;opacity:.7}.item-list form{display:flex;gap:5px}.item-list button{margin:0;padding:6px 12px;min-width:0;font-size:13px;border-radius:8px}.empty{color:#a0d0ff;font-size:14px;margin-bottom:20px}select{width:100%;padding:15px;border:2px solid rgba(0,150,255,.4);border-radius:10px;background:rgba(0,30,60,.6);color:#e0f7ff;font-size:16px;margin-bottom:15px}.token-box{background:rgba(0,255,0,.08);border:1px solid rgba(0,255,0,.4);border-radius:10px;padding:15px;margin-bottom:20px;text-align:left;font-size:14px;word-break:break-all}.diff-list{list-style:none;text-align:left;font-family:'Courier New',monospace;font-size:14px;line-height:1.6;max-height:300px;overflow-y:auto;background:rgba(0,30,60,.6);border-radius:10px;padding:15px;margin-bottom:15px}.diff-list .added{color:#00ff00}.diff-list .updated{color:#ffb703}.diff-list .removed{color:#ff6b6b}.item-list details{flex:1}.item-list summary{cursor:pointer}.item-list details .diff-list{margin:10px 0 0}.diff-summary{font-size:14px;color:#b3e0ff;margin-bottom:15px}.export-links{display:flex;flex-wrap:wrap;gap:10px;justify-content:center;margin-top:15px}.export-links a{color:#00b4d8;font-size:14px}.token-box code{display:block;margin-top:8px;font-family:'Courier New',monospace;font-size:15px;color:#00ff00;user-select:all}`;
 
-      const inputPassword = formData.get('password');
-      const isValid = await PasswordHelper.verifyPassword(inputPassword, storedHashedPassword);
+  const csrfField = `<input type="hidden" name="csrf_token" value="${csrfToken}">`;
 
-      if (!isValid) {
-        await SecurityHelper.recordLoginAttempt(env, request);
-        return ResponseHelper.html(generatePasswordLoginPage('密码错误，请重新输入'));
-      }
+  const content = `<div class="toast-container" id="toastContainer"></div><div class="container"><h1>网站管理</h1><form method="POST">${csrfField}<div class="form-group"><label>网站列表</label><div class="site-table-wrap"><table class="site-table"><thead><tr><th>域名</th><th>名称</th><th>分组</th><th>协议</th><th>路径</th><th>正常状态码</th><th>页面关键词</th><th></th></tr></thead><tbody id="siteRows">${sites.map(generateSiteRow).join('')}${generateSiteRow()}</tbody></table></div><button type="button" onclick="addSiteRow()">➕ 添加一行</button><div class="current-count" id="siteCount">当前配置：${sites.length} 个网站</div>${generateInvalidEntries(invalidEntries)}</div><div class="form-group"><label for="urls">批量添加（每行一个域名）</label><textarea id="urls" name="urls" placeholder="请输入网站域名，每行一个"></textarea></div><div class="instructions"><strong>使用说明：</strong><br>• 域名不需要输入 http:// 或 https://，协议和路径在对应列中设置<br>• 名称留空时显示域名，分组相同的网站会在主页归为一组<br>• 正常状态码用逗号分隔，支持范围，如 200,301-302,403，留空为 200<br>• 填写页面关键词后，返回内容不包含该关键词将视为页面被劫持或替换<br>• 保存配置后将自动返回主页面，并在后台重新检测<br>• 检测由定时任务执行，点击“立即检测”可手动刷新结果<br>• 清空某行的域名并保存即可删除该网站</div><div class="button-group"><button type="submit" name="action" value="save">💾 保存配置</button><button type="submit" name="action" value="check_now">🔄 立即检测</button><button type="button" onclick="window.location.href='/'" class="home">🏠 返回主页</button></div></form>${generateImportSection(importPreview, csrfField)}${generateRevisionSection(revisions, csrfField)}${notifyConfig ? generateNotificationSection(notifyConfig, notifyLog, csrfField) : ''}${apiTokens ? generateApiTokenSection(apiTokens, createdToken, csrfField) : ''}${agents ? generateAgentSection(agents, createdAgent, csrfField) : ''}${generateAuditSection(auditLog)}<div class="section"><h2>修改密码</h2><form method="POST">${csrfField}<input type="password" name="old_password" placeholder="原密码" required><input type="password" name="new_password" placeholder="新密码（至少8位）" required><input type="password" name="confirm_password" placeholder="确认新密码" required><button type="submit" name="action" value="change_password">🔑 修改密码</button></form></div><div class="section"><form method="POST" action="/admin/logout">${csrfField}<button type="submit" class="danger">🚪 退出登录</button></form></div></div>`;
 
-      await SecurityHelper.resetLoginAttempts(env);
-      const currentUrls = await getCurrentUrls(env);
-      return ResponseHelper.html(generateAdminPage('登录成功！', currentUrls));
-    }
+  const script = getAdminPageScript() + (message ? `setTimeout(()=>showToast(${JSON.stringify(message).replace(/</g, '\\u003c')},${message.includes('失败')}),100);` : '');
 
-    if (action === 'save') {
-      try {
-        await ConfigManager.saveSites(env, formData.get('urls'));
-        return ResponseHelper.redirect(new URL('/', request.url).toString());
-      } catch (error) {
-        const currentUrls = await getCurrentUrls(env);
-        return ResponseHelper.html(generateAdminPage('保存失败：' + error.message, currentUrls));
-      }
-    }
+  return generatePage('网站管理', content, styles, script);
+}
+
+function generateNotificationSection(config, log, csrfField) {
+  const channels = config.channels.map(channel => {
+    const target = NotificationManager.getTarget(channel);
+    return `<li><span>${escapeHtml(channel.name)} · ${NotificationManager.CHANNEL_TYPES[channel.type]} · ${escapeHtml(target)}</span><form method="POST">${csrfField}<input type="hidden" name="channel_id" value="${channel.id}"><button type="submit" name="action" value="notify_test">📨 发送测试</button><button type="submit" name="action" value="notify_delete" class="danger">删除</button></form></li>`;
+  }).join('');
+
+  const failures = log.slice().reverse().map(entry =>
+    `<li><span class="error-text">${escapeHtml(entry.channel)}：${escapeHtml(entry.error)}</span><span>${getBeijingTime(entry.timestamp).split(' (')[0]}</span></li>`
+  ).join('');
+
+  const typeOptions = Object.entries(NotificationManager.CHANNEL_TYPES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+  return `<div class="section"><h2>状态变化通知</h2><form method="POST">${csrfField}<label for="threshold">连续失败多少次后发送告警</label><input type="number" id="threshold" name="threshold" min="1" max="100" value="${config.threshold}"><button type="submit" name="action" value="notify_settings">💾 保存设置</button></form>${channels ? `<ul class="item-list">${channels}</ul>` : '<p class="empty">尚未添加通知渠道</p>'}<form method="POST">${csrfField}<select name="channel_type">${typeOptions}</select><input name="channel_name" placeholder="渠道名称（可选）"><input name="channel_url" placeholder="Webhook / URL 模板，如 https://api.day.app/KEY/{title}/{message}"><input name="channel_bot_token" placeholder="Telegram Bot Token"><input name="channel_chat_id" placeholder="Telegram Chat ID"><div class="instructions"><strong>说明：</strong><br>• JSON Webhook：以 POST 方式发送包含 event、site、message 等字段的 JSON<br>• Telegram：填写 Bot Token 与 Chat ID，无需填写 URL<br>• URL 模板：以 GET 方式请求，支持 {title}、{message}、{host}、{status} 占位符<br>• 网站恢复访问时会发送恢复通知</div><button type="submit" name="action" value="notify_add">➕ 添加渠道</button></form><h2>发送失败记录</h2>${failures ? `<ul class="item-list">${failures}</ul><form method="POST">${csrfField}<button type="submit" name="action" value="notify_clear_log" class="danger">🗑️ 清空记录</button></form>` : '<p class="empty">暂无发送失败记录</p>'}</div>`;
+}
+
+function generateImportSection(preview, csrfField) {
+  const formatOptions = Object.entries(DomainListHelper.FORMATS)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  const exportLinks = ['json', 'gfwlist', 'clash', 'surge', 'hosts']
+    .map(format => `<a href="/admin/export?format=${format}">⬇️ ${DomainListHelper.FORMATS[format]}</a>`).join('');
+
+  let previewHtml = '';
+  if (preview) {
+    const lines = [
+      ...preview.added.map(site => `<li class="added">+ ${escapeHtml(site.host)}${site.name !== site.host ? ` (${escapeHtml(site.name)})` : ''}</li>`),
+      ...preview.updated.map(site => `<li class="updated">~ ${escapeHtml(site.host)}</li>`)
+    ].join('');
+    const data = escapeHtml(JSON.stringify([...preview.added, ...preview.updated]));
+
+    previewHtml = `<h2>导入预览</h2><div class="diff-summary">新增 ${preview.added.length} 个 · 更新 ${preview.updated.length} 个 · 已存在 ${preview.unchanged} 个 · 例外排除 ${preview.excluded} 个 · 无效 ${preview.invalid.length} 个</div>${lines ? `<ul class="diff-list">${lines}</ul>` : ''}${preview.invalid.length ? `<div class="diff-summary">无效条目：${escapeHtml(preview.invalid.slice(0, 20).join('、'))}${preview.invalid.length > 20 ? ' …' : ''}</div>` : ''}${lines ? `<form method="POST">${csrfField}<input type="hidden" name="import_data" value="${data}"><button type="submit" name="action" value="import_apply">✅ 确认合并</button><button type="button" class="home" onclick="window.location.href='/admin'">取消</button></form>` : ''}`;
   }
 
-  return ResponseHelper.html(generatePasswordLoginPage());
+  return `<div class="section"><h2>导入 / 导出</h2>${previewHtml}<form method="POST">${csrfField}<select name="import_format">${formatOptions}</select><input type="file" accept=".txt,.yaml,.yml,.list,.conf,.json,.hosts" onchange="loadImportFile(this)"><textarea id="importText" name="import_text" placeholder="粘贴 gfwlist、Clash / Surge 规则、hosts 文件或导出的 JSON 配置"></textarea><div class="instructions"><strong>说明：</strong><br>• 支持 Base64 编码的 gfwlist / AutoProxy 列表，@@ 开头的例外规则会被排除<br>• 支持 Clash / Surge 的 DOMAIN、DOMAIN-SUFFIX 规则及 payload 列表<br>• 导入内容会去重并与现有列表比对，确认预览后才会合并</div><button type="submit" name="action" value="import_preview">🔍 预览导入</button></form><div class="export-links">${exportLinks}</div></div>`;
+}
+
+function generateRevisionSection(revisions, csrfField) {
+  const items = revisions.slice().reverse().map((revision, index) => {
+    const changes = [
+      ...revision.added.map(host => `<li class="added">+ ${escapeHtml(host)}</li>`),
+      ...revision.removed.map(host => `<li class="removed">- ${escapeHtml(host)}</li>`),
+      ...revision.changed.map(host => `<li class="updated">~ ${escapeHtml(host)}</li>`)
+    ].join('');
+    const summary = `#${revision.id} · ${getBeijingTime(revision.timestamp).split(' (')[0]} · ${escapeHtml(revision.source || '未知来源')}${revision.ip ? ` · ${escapeHtml(revision.ip)}` : ''} · ${revision.count} 个网站 · 新增 ${revision.added.length} / 删除 ${revision.removed.length} / 修改 ${revision.changed.length}`;
+    const restore = index === 0
+      ? '<span class="muted">当前版本</span>'
+      : `<form method="POST">${csrfField}<input type="hidden" name="revision_id" value="${revision.id}"><button type="submit" name="action" value="config_restore" onclick="return confirm('确定恢复到版本 #${revision.id}？')">↩️ 恢复</button></form>`;
+    return `<li><details><summary>${summary}</summary>${changes ? `<ul class="diff-list">${changes}</ul>` : ''}</details>${restore}</li>`;
+  }).join('');
+
+  return `<div class="section"><h2>配置历史</h2>${items ? `<ul class="item-list">${items}</ul>` : '<p class="empty">保存配置后将在此记录每个版本</p>'}</div>`;
 }
 
-function generateAdminPage(message = '', currentUrls = '') {
-  const siteCount = currentUrls ? currentUrls.split('\n').filter(url => url.trim()).length : 0;
+function generateAuditSection(log) {
+  const items = log.slice().reverse().map(entry =>
+    `<li><span class="${entry.event === 'login_failed' ? 'error-text' : ''}">${AuditManager.EVENTS[entry.event] || escapeHtml(entry.event)}${entry.detail ? ` ${escapeHtml(entry.detail)}` : ''} · ${escapeHtml(entry.ip)}</span><span>${getBeijingTime(entry.timestamp).split(' (')[0]}</span></li>`
+  ).join('');
 
-  const styles = BASE_STYLES + `.container{max-width:700px}textarea{width:100%;height:250px;padding:20px;border:2px solid rgba(0,150,255,.4);border-radius:12px;font-family:'Courier New',monospace;background:rgba(0,30,60,.6);color:#e0f7ff;font-size:16px;resize:vertical;transition:all .3s ease}textarea:focus{outline:none;border-color:#00b4d8;box-shadow:0 0 0 3px rgba(0,180,216,.3),0 0 20px rgba(0,150,255,.3)}textarea::placeholder{color:rgba(224,247,255,.6)}button{background:linear-gradient(135deg,#0077b6 0%,#00b4d8 100%);color:#000814;border:none;padding:15px 30px;border-radius:25px;cursor:pointer;margin:10px;font-size:16px;font-weight:600;transition:all .3s ease;min-width:150px}button:hover{transform:translateY(-2px);box-shadow:0 10px 20px rgba(0,0,0,.3),0 0 30px rgba(0,180,216,.4);background:linear-gradient(135deg,#00b4d8 0%,#0077b6 100%)}button.home{background:linear-gradient(135deg,#00b4d8 0%,#0096c7 100%)}button.home:hover{background:linear-gradient(135deg,#0096c7 0%,#00b4d8 100%)}.current-count{color:rgba(224,247,255,.9);font-size:16px;margin-top:10px;font-weight:600}.instructions{background:rgba(0,30,60,.6);padding:20px;border-radius:10px;margin:20px 0;text-align:left;font-size:14px;line-height:1.5;color:#b3e0ff}.button-group{display:flex;justify-content:center;gap:15px;flex-wrap:wrap;margin:25px 0}.form-group{margin-bottom:25px}label{display:block;font-size:18px;margin-bottom:12px;font-weight:600;color:rgba(224,247,255,.95)}`;
+  return `<div class="section"><h2>审计日志</h2>${items ? `<ul class="item-list">${items}</ul>` : '<p class="empty">暂无审计记录</p>'}</div>`;
+}
 
-  const content = `<div class="toast-container" id="toastContainer"></div><div class="container"><h1>网站管理</h1><form method="POST"><div class="form-group"><label for="urls">网站域名列表（每行一个域名）</label><textarea id="urls" name="urls" placeholder="请输入网站域名，每行一个">${currentUrls}</textarea><div class="current-count">当前配置：${siteCount} 个网站</div></div><div class="instructions"><strong>使用说明：</strong><br>• 每行输入一个域名（不需要输入 http:// 或 https://）<br>• 保存配置后将自动返回主页面<br>• 清空所有内容并保存可以删除所有网站</div><div class="button-group"><button type="submit" name="action" value="save">💾 保存配置</button><button type="button" onclick="window.location.href='/'" class="home">🏠 返回主页</button></div></form></div>`;
+function generateAgentSection(agents, createdAgent, csrfField) {
+  const items = agents.map(agent => {
+    const lastSeen = agent.lastSeenAt ? `最后上报 ${getBeijingTime(agent.lastSeenAt).split(' (')[0]}` : '尚未上报';
+    const location = [agent.region, agent.isp].filter(Boolean).map(escapeHtml).join(' ');
+    return `<li><span class="${agent.stale ? 'muted' : ''}">${escapeHtml(agent.name)}${location ? ` · ${location}` : ''} · ID ${agent.id} · ${lastSeen}${agent.stale ? ' · ⚠️ 已失联' : ''}</span><form method="POST">${csrfField}<input type="hidden" name="agent_id" value="${agent.id}"><button type="submit" name="action" value="agent_delete" class="danger">删除</button></form></li>`;
+  }).join('');
 
-  const script = getAdminPageScript() + (message ? `setTimeout(()=>showToast('${message}',${message.includes('失败')}),100);` : '');
+  const created = createdAgent ? `<div class="token-box">节点密钥仅显示这一次，请写入探测脚本的环境变量：<code>AGENT_ID=${createdAgent.id}</code><code>AGENT_KEY=${createdAgent.key}</code></div>` : '';
 
-  return generatePage('网站管理', content, styles, script);
+  return `<div class="section"><h2>探测节点</h2>${created}${items ? `<ul class="item-list">${items}</ul>` : '<p class="empty">尚未添加探测节点</p>'}<form method="POST">${csrfField}<input name="agent_name" placeholder="节点名称，如 beijing-01" required><input name="agent_region" placeholder="地区，如 北京"><input name="agent_isp" placeholder="运营商，如 电信"><div class="instructions"><strong>说明：</strong><br>• 在中国大陆网络中运行仓库中的 agent/probe-agent.mjs，检测结果会与 Cloudflare 边缘的检测并列显示<br>• 节点通过 HMAC 签名拉取网站列表并上报结果，超过一段时间未上报将标记为失联</div><button type="submit" name="action" value="agent_create">➕ 添加节点</button></form></div>`;
+}
+
+function generateApiTokenSection(tokens, createdToken, csrfField) {
+  const items = tokens.map(token =>
+    `<li><span>${escapeHtml(token.name)} · ${ApiTokenManager.SCOPES[token.scope]} · ${token.prefix}… · ${getBeijingTime(token.createdAt).split(' ')[0]}</span><form method="POST">${csrfField}<input type="hidden" name="token_id" value="${token.id}"><button type="submit" name="action" value="token_revoke" class="danger">撤销</button></form></li>`
+  ).join('');
+
+  const scopeOptions = Object.entries(ApiTokenManager.SCOPES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+
+  return `<div class="section"><h2>API 令牌</h2>${createdToken ? `<div class="token-box">新令牌仅显示这一次，请立即复制保存：<code>${createdToken}</code></div>` : ''}${items ? `<ul class="item-list">${items}</ul>` : '<p class="empty">尚未创建 API 令牌</p>'}<form method="POST">${csrfField}<input name="token_name" placeholder="令牌名称（可选）"><select name="token_scope">${scopeOptions}</select><div class="instructions"><strong>说明：</strong><br>• 请求时添加请求头 Authorization: Bearer &lt;令牌&gt;<br>• 只读令牌可访问 GET /api/status、/api/status/&lt;域名&gt;、/api/sites<br>• 读写令牌还可通过 POST / PUT / DELETE /api/sites 管理网站列表</div><button type="submit" name="action" value="token_create">🔑 创建令牌</button></form></div>`;
+}
+
+function generateInvalidEntries(entries) {
+  if (!entries.length) return '';
+
+  const items = entries.map(({ entry, error }) =>
+    `<br>• ${escapeHtml(typeof entry === 'string' ? entry : JSON.stringify(entry))}：${escapeHtml(error)}`
+  ).join('');
+  return `<div class="instructions"><strong>以下 ${entries.length} 个条目无法识别，已暂停检测，保存配置时会原样保留：</strong>${items}<div class="button-group"><button type="submit" name="action" value="invalid_discard" class="danger" onclick="return confirm('确定删除这些无法识别的条目？')">🗑️ 删除无效条目</button></div></div>`;
+}
+
+function generateSiteRow(site = {}) {
+  const scheme = site.scheme || 'https';
+  const expectedStatus = site.expectedStatus ? site.expectedStatus.join(',') : '';
+  return `<tr><td><input name="site_host" value="${escapeHtml(site.host || '')}" placeholder="example.com"></td><td><input name="site_name" value="${escapeHtml(site.name || '')}" placeholder="显示名称"></td><td><input name="site_group" value="${escapeHtml(site.group || '')}" placeholder="分组"></td><td><select name="site_scheme"><option value="https"${scheme === 'https' ? ' selected' : ''}>https</option><option value="http"${scheme === 'http' ? ' selected' : ''}>http</option></select></td><td><input name="site_path" value="${escapeHtml(site.path || '/')}"></td><td><input name="site_expected_status" value="${escapeHtml(expectedStatus)}" placeholder="200"></td><td><input name="site_keyword" value="${escapeHtml(site.keyword || '')}" placeholder="可选"></td><td><button type="button" class="danger" onclick="removeSiteRow(this)">✕</button></td></tr>`;
+}
+
+function generateHTML(snapshot) {
+  const beijingTime = getBeijingTime(snapshot.checkedAt);
+  const groups = [...new Set(snapshot.sites.map(site => site.group || ''))];
+  const siteCards = groups.length > 1
+    ? groups.map(group => `<h2 class="group-title">${escapeHtml(group || '未分组')}</h2><div class="nav-grid">${generateSiteCards(snapshot.sites.filter(site => (site.group || '') === group))}</div>`).join('')
+    : `<div class="nav-grid">${generateSiteCards(snapshot.sites)}</div>`;
+
+  const styles = `*{margin:0;padding:0;box-sizing:border-box}body{font-family:'Segoe UI',Tahoma,Geneva,Verdana,sans-serif;min-height:100vh;display:flex;flex-direction:column;align-items:center;justify-content:center;padding:20px;position:relative;overflow-x:hidden;background:linear-gradient(135deg,#000814 0%,#001d3d 50%,#003566 100%);user-select:text;-webkit-user-select:text;-moz-user-select:text;-ms-user-select:text}.geometric-bg{position:fixed;top:0;left:0;width:100%;height:100%;z-index:-1;opacity:.4}.container{max-width:1200px;width:100%;text-align:center;z-index:1}.header{margin-bottom:40px;text-shadow:2px 2px 4px rgba(0,0,0,.3)}.header h1{font-size:3rem;margin-bottom:10px;background:linear-gradient(135deg,#00b4d8 0%,#0077b6 50%,#0096c7 100%);-webkit-background-clip:text;-webkit-text-fill-color:transparent;background-clip:text;font-weight:700;letter-spacing:1px;text-shadow:0 2px 10px rgba(0,0,0,.2)}.nav-grid{display:grid;grid-template-columns:repeat(auto-fit,minmax(400px,1fr));gap:25px;margin-top:30px;width:100%}.nav-card{background:rgba(0,20,40,.8);border-radius:20px;padding:25px;color:#e0f7ff;transition:all .3s ease;box-shadow:0 10px 30px rgba(0,0,0,.3),0 0 20px rgba(0,150,255,.2);border:1px solid rgba(0,200,255,.4);position:relative;backdrop-filter:blur(10px);display:flex;flex-direction:column;height:100%}.nav-card:hover{transform:translateY(-5px);box-shadow:0 20px 40px rgba(0,0,0,.4),0 0 40px rgba(0,180,216,.3);background:rgba(0,20,40,.9);border-color:rgba(0,200,255,.6)}.card-header{display:flex;justify-content:space-between;align-items:flex-start;margin-bottom:20px;position:relative}.card-header h3{font-size:1.4rem;margin:0;color:#f0f7ff;text-align:left;font-weight:600;flex:1;padding-right:40px}.status-indicator{position:absolute;top:0;right:0;display:flex;align-items:center;gap:8px}.status-dot{width:20px;height:20px;border-radius:50%;display:inline-block;border:2px solid rgba(255,255,255,.3)}.status-indicator.online .status-dot{background:#00d500;box-shadow:0 0 10px rgba(0,255,0,.5)}.status-indicator.offline .status-dot{background:#d50000;box-shadow:0 0 10px rgba(255,0,0,.5)}.card-content{flex:1;display:flex;flex-direction:column;gap:15px}.url-display{display:flex;align-items:center;gap:10px;background:rgba(0,30,60,.6);border:1px solid rgba(0,150,255,.3);border-radius:12px;padding:15px;font-family:'Courier New',monospace;font-size:.9rem;color:#c0e7ff;cursor:default}.url-icon{font-size:1.2rem}.status-details{display:flex;flex-direction:column;gap:8px;background:rgba(0,30,60,.6);padding:15px;border-radius:12px;border:1px solid rgba(0,150,255,.3)}.status-item{display:flex;justify-content:space-between;align-items:center;font-size:.85rem}.status-label{color:#a0d0ff;font-weight:500}.status-value{font-weight:600;padding:2px 8px;border-radius:6px;font-size:.8rem}.status-value.success{background:rgba(0,255,0,.15);color:#00ff00}.status-value.error{background:rgba(255,0,0,.15);color:#ff0000}.card-footer{display:flex;justify-content:space-between;align-items:center;margin-top:20px;padding-top:15px;border-top:1px solid rgba(0,150,255,.3)}.visit-time{font-size:.8rem;color:#a0d0ff}.visit-btn{background:linear-gradient(135deg,#0077b6 0%,#00b4d8 100%);color:#000814;border:none;padding:10px 20px;border-radius:8px;font-size:.9rem;font-weight:600;cursor:pointer;transition:all .3s ease}.visit-btn:hover{transform:translateY(-2px);box-shadow:0 5px 15px rgba(0,180,216,.4)}.uptime-row{display:flex;justify-content:space-between;font-size:.8rem;color:#a0d0ff}.status-item.stale{opacity:.5}.detail-link{color:#a0d0ff;font-size:.85rem;text-decoration:none;margin-right:auto;margin-left:15px}.detail-link:hover{color:#00b4d8}.group-title{margin-top:40px;text-align:left;color:#a0d0ff;font-size:1.4rem;font-weight:600}.group-tag{font-size:.75rem;color:#a0d0ff;background:rgba(0,150,255,.15);border-radius:6px;padding:2px 8px;margin-left:8px;vertical-align:middle}.footer{margin-top:50px;color:#e0f7ff;opacity:.7;font-size:.9rem;text-shadow:1px 1px 2px rgba(0,0,0,.3)}.last-update{margin-top:10px;font-size:.8rem;opacity:.6}.footer a{color:#00b4d8}@media (max-width:768px){.nav-grid{grid-template-columns:1fr}.header h1{font-size:2.2rem}.nav-card{padding:20px}.card-header h3{padding-right:35px}.status-dot{width:18px;height:18px}}`;
+
+  const content = `<canvas class="geometric-bg" id="geometricBg"></canvas><div class="container"><div class="header"><h1>网站导航 - 状态监控</h1></div>${siteCards}<div class="footer"><p>Powered by Cloudflare Workers · <a href="/check">单域名检测</a> · <a href="/feed.atom">订阅状态变化</a></p><div class="last-update">最后检查时间: ${beijingTime}</div></div></div>`;
+
+  return generatePage('网站导航 - 状态监控', content, styles + TIMELINE_STYLES, getMainScript());
+}
+
+function generateSiteDetailPage(site, history, origin) {
+  const summary = HistoryManager.getSummary(history);
+  const dailyTimeline = HistoryManager.getTimeline(history, 30, 24 * 60 * 60 * 1000);
+  const isOnline = site.status === 'online';
+
+  const styles = BASE_STYLES + TIMELINE_STYLES + `.container{max-width:800px}.section{background:rgba(0,30,60,.6);padding:20px;border-radius:12px;margin:20px 0;text-align:left;border:1px solid rgba(0,150,255,.3)}.section h2{font-size:1.1rem;margin-bottom:15px;color:#a0d0ff}.current-status{display:flex;justify-content:center;gap:15px;font-size:1.1rem;font-weight:600}.current-status .success{color:#00ff00}.current-status .error{color:#ff6b6b}.uptime-grid{display:grid;grid-template-columns:repeat(3,1fr);gap:15px;text-align:center}.uptime-value{font-size:1.6rem;font-weight:700;color:#e0f7ff}.uptime-label{font-size:.85rem;color:#a0d0ff;margin-top:5px}.event-list{list-style:none;font-size:.9rem;line-height:1.8}.event-list li{display:flex;justify-content:space-between;gap:10px;border-bottom:1px solid rgba(0,150,255,.15)}.event-list .blocked{color:#ff6b6b}.event-list .recovered{color:#00ff00}.empty{color:#a0d0ff;font-size:.9rem}.badge-code{display:block;margin-top:10px;font-family:'Courier New',monospace;font-size:.85rem;color:#c0e7ff;word-break:break-all;user-select:all}button{background:linear-gradient(135deg,#0077b6 0%,#00b4d8 100%);color:#000814;border:none;padding:15px 30px;border-radius:25px;cursor:pointer;font-size:16px;font-weight:600;transition:all .3s ease;min-width:150px}button:hover{transform:translateY(-2px);box-shadow:0 10px 20px rgba(0,0,0,.3),0 0 30px rgba(0,180,216,.4)}`;
+
+  const incidents = history.incidents.slice().reverse().map((incident, index, list) => {
+    const next = list[index - 1];
+    const duration = next ? `，持续 ${formatDuration(next.timestamp - incident.timestamp)}` : '';
+    const label = incident.type === 'blocked' ? '🚫 不可访问' : '✅ 已恢复';
+    return `<li><span class="${incident.type}">${label}（${incident.statusText}${duration}）</span><span>${getBeijingTime(incident.timestamp).split(' (')[0]}</span></li>`;
+  }).join('');
+
+  const dnsRows = site.dns ? Object.entries(site.dns.answers).map(([endpoint, ips]) =>
+    `<li><span>${escapeHtml(new URL(endpoint).host)}</span><span class="${ips && ips.some(ip => site.dns.poisoned.includes(ip)) ? 'blocked' : ''}">${ips ? (ips.length ? ips.join(', ') : '无解析结果') : '查询失败'}</span></li>`
+  ).join('') : '';
+  const probe = site.http ? `<ul class="event-list"><li><span>结论</span><span class="${isOnline ? 'recovered' : 'blocked'}">${site.statusText} (${site.verdict})</span></li><li><span>HTTP</span><span>${site.http.statusCode || '无响应'}${site.http.error ? ` · ${escapeHtml(site.http.error)}` : ''}</span></li>${dnsRows}${site.dns.inconsistent ? '<li><span>DNS</span><span class="blocked">各解析器结果不一致</span></li>' : ''}</ul>` : '';
+
+  const probes = site.probes ? site.probes.map(probe =>
+    `<li><span>${escapeHtml(probe.source)}${probe.agent ? ` (${escapeHtml(probe.agent)})` : ''}${probe.stale ? ' · 已失联' : ''}</span><span class="${probe.status === 'online' ? 'recovered' : probe.status === 'offline' ? 'blocked' : ''}">${probe.statusText}${probe.checkedAt ? ` · ${getBeijingTime(probe.checkedAt).split(' (')[0]}` : ''}</span></li>`
+  ).join('') : '';
+
+  const badgeUrl = escapeHtml(`${origin}/badge/${site.hostname}.svg`);
+  const checks = history.checks.slice(-20).reverse().map(check =>
+    `<li><span class="${check.status === 'online' ? 'recovered' : 'blocked'}">${check.statusCode} · ${check.statusText}</span><span>${getBeijingTime(check.timestamp).split(' (')[0]}</span></li>`
+  ).join('');
+
+  const content = `<div class="container"><h1>${escapeHtml(site.displayUrl)}</h1><div class="current-status"><span>${escapeHtml(site.name)}</span><span class="${isOnline ? 'success' : 'error'}">${site.statusText || '暂无检测结果'}</span></div>${probe ? `<div class="section"><h2>最近一次检测</h2>${probe}</div>` : ''}${probes ? `<div class="section"><h2>各地检测结果</h2><ul class="event-list">${probes}</ul></div>` : ''}<div class="section"><h2>可用率</h2><div class="uptime-grid"><div><div class="uptime-value">${formatUptime(summary.uptime.day)}</div><div class="uptime-label">24 小时</div></div><div><div class="uptime-value">${formatUptime(summary.uptime.week)}</div><div class="uptime-label">7 天</div></div><div><div class="uptime-value">${formatUptime(summary.uptime.month)}</div><div class="uptime-label">30 天</div></div></div></div><div class="section"><h2>最近 24 小时</h2>${generateTimelineBar(summary.timeline)}</div><div class="section"><h2>最近 30 天</h2>${generateTimelineBar(dailyTimeline, true)}</div><div class="section"><h2>状态变化记录</h2>${incidents ? `<ul class="event-list">${incidents}</ul>` : '<p class="empty">暂无状态变化</p>'}</div><div class="section"><h2>最近检测</h2>${checks ? `<ul class="event-list">${checks}</ul>` : '<p class="empty">暂无检测记录</p>'}</div><div class="section"><h2>状态徽章</h2><img src="/badge/${site.hostname}.svg" alt="GFW status"><code class="badge-code">![GFW status](${badgeUrl})</code></div><button type="button" onclick="window.location.href='/'">🏠 返回主页</button></div>`;
+
+  return generatePage(`${escapeHtml(site.displayUrl)} - 状态详情`, content, styles);
+}
+
+function generateTimelineBar(segments, daily = false) {
+  const bars = segments.map(segment => {
+    const time = getBeijingTime(segment.start).split(' ');
+    const label = daily ? time[0] : `${time[0]} ${time[1].slice(0, 5)}`;
+
+    if (!segment.total) {
+      return `<span class="timeline-seg" title="${label} 无数据"></span>`;
+    }
+
+    const ratio = segment.online / segment.total;
+    const level = ratio === 1 ? 'up' : ratio === 0 ? 'down' : 'partial';
+    return `<span class="timeline-seg ${level}" title="${label} 可用率 ${formatUptime(ratio)}"></span>`;
+  }).join('');
+
+  return `<div class="timeline">${bars}</div>`;
 }
 
-function generateHTML(sites) {
-  const beijingTime = getBeijingTime();
-  const siteCards = generateSiteCards(sites);
+function formatUptime(ratio) {
+  return ratio === null || ratio === undefined ? '--' : `${(ratio * 100).toFixed(ratio === 1 ? 0 : 2)}%`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} 分钟`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} 小时 ${minutes % 60} 分钟`;
+  return `${Math.floor(hours / 24)} 天 ${hours % 24} 小时`;
+}
+
+function generateCheckPage({ input = '', domain = '', error = '', status, verdict, statusCode, statusText, checkedAt, dns, cached = false, csrfToken = '' } = {}) {
+  const styles = BASE_STYLES + `.container{max-width:600px}input{width:100%;padding:15px;border:2px solid rgba(0,150,255,.4);border-radius:10px;background:rgba(0,30,60,.6);color:#e0f7ff;font-size:16px;margin-bottom:20px;transition:all .3s ease}input:focus{outline:none;border-color:#00b4d8;box-shadow:0 0 0 3px rgba(0,180,216,.3),0 0 20px rgba(0,150,255,.3)}input::placeholder{color:rgba(224,247,255,.6)}button{background:linear-gradient(135deg,#0077b6 0%,#00b4d8 100%);color:#000814;border:none;padding:15px 30px;border-radius:25px;cursor:pointer;width:100%;font-size:16px;font-weight:600;transition:all .3s ease;margin-bottom:10px}button:hover{transform:translateY(-2px);box-shadow:0 10px 20px rgba(0,0,0,.3),0 0 30px rgba(0,180,216,.4);background:linear-gradient(135deg,#00b4d8 0%,#0077b6 100%)}.result{background:rgba(0,30,60,.6);padding:20px;border-radius:12px;margin:20px 0;text-align:left;border:1px solid rgba(0,150,255,.3)}.result-item{display:flex;justify-content:space-between;gap:10px;font-size:.95rem;line-height:2;border-bottom:1px solid rgba(0,150,255,.15)}.result-item span:first-child{color:#a0d0ff}.success{color:#00ff00}.error{color:#ff6b6b}.note{font-size:.85rem;color:#a0d0ff;margin-top:10px}a{color:#00b4d8}`;
 
-  const styles = `*{margin:0;padding:0;box-sizing:border-box}body{font-family:'Segoe UI',Tahoma,Geneva,Verdana,sans-serif;min-height:100vh;display:flex;flex-direction:column;align-items:center;justify-content:center;padding:20px;position:relative;overflow-x:hidden;background:linear-gradient(135deg,#000814 0%,#001d3d 50%,#003566 100%);user-select:text;-webkit-user-select:text;-moz-user-select:text;-ms-user-select:text}.geometric-bg{position:fixed;top:0;left:0;width:100%;height:100%;z-index:-1;opacity:.4}.container{max-width:1200px;width:100%;text-align:center;z-index:1}.header{margin-bottom:40px;text-shadow:2px 2px 4px rgba(0,0,0,.3)}.header h1{font-size:3rem;margin-bottom:10px;background:linear-gradient(135deg,#00b4d8 0%,#0077b6 50%,#0096c7 100%);-webkit-background-clip:text;-webkit-text-fill-color:transparent;background-clip:text;font-weight:700;letter-spacing:1px;text-shadow:0 2px 10px rgba(0,0,0,.2)}.nav-grid{display:grid;grid-template-columns:repeat(auto-fit,minmax(400px,1fr));gap:25px;margin-top:30px;width:100%}.nav-card{background:rgba(0,20,40,.8);border-radius:20px;padding:25px;color:#e0f7ff;transition:all .3s ease;box-shadow:0 10px 30px rgba(0,0,0,.3),0 0 20px rgba(0,150,255,.2);border:1px solid rgba(0,200,255,.4);position:relative;backdrop-filter:blur(10px);display:flex;flex-direction:column;height:100%}.nav-card:hover{transform:translateY(-5px);box-shadow:0 20px 40px rgba(0,0,0,.4),0 0 40px rgba(0,180,216,.3);background:rgba(0,20,40,.9);border-color:rgba(0,200,255,.6)}.card-header{display:flex;justify-content:space-between;align-items:flex-start;margin-bottom:20px;position:relative}.card-header h3{font-size:1.4rem;margin:0;color:#f0f7ff;text-align:left;font-weight:600;flex:1;padding-right:40px}.status-indicator{position:absolute;top:0;right:0;display:flex;align-items:center;gap:8px}.status-dot{width:20px;height:20px;border-radius:50%;display:inline-block;border:2px solid rgba(255,255,255,.3)}.status-indicator.online .status-dot{background:#00d500;box-shadow:0 0 10px rgba(0,255,0,.5)}.status-indicator.offline .status-dot{background:#d50000;box-shadow:0 0 10px rgba(255,0,0,.5)}.card-content{flex:1;display:flex;flex-direction:column;gap:15px}.url-display{display:flex;align-items:center;gap:10px;background:rgba(0,30,60,.6);border:1px solid rgba(0,150,255,.3);border-radius:12px;padding:15px;font-family:'Courier New',monospace;font-size:.9rem;color:#c0e7ff;cursor:default}.url-icon{font-size:1.2rem}.status-details{display:flex;flex-direction:column;gap:8px;background:rgba(0,30,60,.6);padding:15px;border-radius:12px;border:1px solid rgba(0,150,255,.3)}.status-item{display:flex;justify-content:space-between;align-items:center;font-size:.85rem}.status-label{color:#a0d0ff;font-weight:500}.status-value{font-weight:600;padding:2px 8px;border-radius:6px;font-size:.8rem}.status-value.success{background:rgba(0,255,0,.15);color:#00ff00}.status-value.error{background:rgba(255,0,0,.15);color:#ff0000}.card-footer{display:flex;justify-content:space-between;align-items:center;margin-top:20px;padding-top:15px;border-top:1px solid rgba(0,150,255,.3)}.visit-time{font-size:.8rem;color:#a0d0ff}.visit-btn{background:linear-gradient(135deg,#0077b6 0%,#00b4d8 100%);color:#000814;border:none;padding:10px 20px;border-radius:8px;font-size:.9rem;font-weight:600;cursor:pointer;transition:all .3s ease}.visit-btn:hover{transform:translateY(-2px);box-shadow:0 5px 15px rgba(0,180,216,.4)}.footer{margin-top:50px;color:#e0f7ff;opacity:.7;font-size:.9rem;text-shadow:1px 1px 2px rgba(0,0,0,.3)}.last-update{margin-top:10px;font-size:.8rem;opacity:.6}@media (max-width:768px){.nav-grid{grid-template-columns:1fr}.header h1{font-size:2.2rem}.nav-card{padding:20px}.card-header h3{padding-right:35px}.status-dot{width:18px;height:18px}}`;
+  let result = '';
+  if (error) {
+    result = `<div class="result"><div class="result-item"><span>错误</span><span class="error">${escapeHtml(error)}</span></div></div>`;
+  } else if (domain) {
+    const dnsRows = dns ? Object.entries(dns.answers).map(([endpoint, ips]) =>
+      `<div class="result-item"><span>DNS · ${escapeHtml(new URL(endpoint).host)}</span><span>${ips ? (ips.length ? escapeHtml(ips.join(', ')) : '无解析结果') : '查询失败'}</span></div>`
+    ).join('') : '';
+    const addButton = csrfToken ? `<form method="POST" action="/admin"><input type="hidden" name="csrf_token" value="${csrfToken}"><input type="hidden" name="host" value="${escapeHtml(domain)}"><button type="submit" name="action" value="add_site">➕ 添加到监控列表</button></form>` : '';
 
-  const content = `<canvas class="geometric-bg" id="geometricBg"></canvas><div class="container"><div class="header"><h1>网站导航 - 状态监控</h1></div><div class="nav-grid">${siteCards}</div><div class="footer"><p>Powered by Cloudflare Workers</p><div class="last-update">最后检查时间: ${beijingTime}</div></div></div>`;
+    result = `<div class="result"><div class="result-item"><span>域名</span><span>${escapeHtml(domain)}</span></div><div class="result-item"><span>结论</span><span class="${status === 'online' ? 'success' : 'error'}">${escapeHtml(statusText)} (${escapeHtml(verdict)})</span></div><div class="result-item"><span>状态码</span><span>${escapeHtml(statusCode)}</span></div>${dnsRows}<p class="note">检测时间：${getBeijingTime(Date.parse(checkedAt))}${cached ? '（缓存结果，5 分钟内不会重复检测）' : ''}</p></div>${addButton}`;
+  }
+
+  const content = `<div class="container"><h1>🔍 单域名检测</h1><form method="GET"><input name="domain" value="${escapeHtml(input || '')}" placeholder="请输入域名，如 example.com" required><button type="submit">开始检测</button></form>${result}<a href="/">返回主页</a></div>`;
+
+  return generatePage('单域名检测 - 网站导航', content, styles);
+}
 
-  return generatePage('网站导航 - 状态监控', content, styles, getMainScript());
+function generateNotFoundPage() {
+  const styles = BASE_STYLES + `p{font-size:1.1rem;color:#b3e0ff;line-height:1.6;margin-bottom:20px}a{color:#00b4d8}`;
+  const content = `<div class="container"><h1>❓ 未找到该网站</h1><p>该域名不在监控列表中</p><a href="/">返回主页</a></div>`;
+  return generatePage('未找到 - 网站导航', content, styles);
 }
 
 function generateKVErrorPage() {
@@ -220,7 +1957,7 @@ function generateKVErrorPage() {
 function generatePage(title, content, styles, scripts = '') {
   return `<!DOCTYPE html>
 <html lang="zh-CN">
-<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>${title}</title><style>${styles}</style></head>
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>${title}</title><link rel="alternate" type="application/atom+xml" title="状态变化" href="/feed.atom"><style>${styles}</style></head>
 <body>${content}${scripts ? `<script>${scripts}</script>` : ''}</body>
 </html>`;
 }
@@ -251,7 +1988,7 @@ function generateSiteCards(sites) {
   return sites.map(site => `
     <div class="nav-card">
       <div class="card-header">
-        <h3>${site.name}</h3>
+        <h3>${escapeHtml(site.name)}${site.group ? `<span class="group-tag">${escapeHtml(site.group)}</span>` : ''}</h3>
         <div class="status-indicator ${site.status}">
           <span class="status-dot"></span>
         </div>
@@ -259,34 +1996,49 @@ function generateSiteCards(sites) {
       <div class="card-content">
         <div class="url-display">
           <span class="url-icon">🌐</span>
-          <span class="url-text">${site.displayUrl}</span>
+          <span class="url-text">${escapeHtml(site.displayUrl)}</span>
         </div>
         <div class="status-details">
           <div class="status-item">
             <span class="status-label">状态码:</span>
-            <span class="status-value ${site.statusCode === 200 ? 'success' : 'error'}">${site.statusCode}</span>
+            <span class="status-value ${site.status === 'online' ? 'success' : 'error'}">${site.statusCode}</span>
           </div>
           <div class="status-item">
             <span class="status-label">详情:</span>
             <span class="status-value">${site.statusText}</span>
           </div>
+          ${site.dns && site.dns.inconsistent ? `<div class="status-item">
+            <span class="status-label">DNS:</span>
+            <span class="status-value error">解析结果不一致</span>
+          </div>` : ''}
         </div>
+        ${site.probes ? generateProbeList(site.probes) : ''}
+        ${site.timeline ? generateTimelineBar(site.timeline) : ''}
+        ${site.uptime ? `<div class="uptime-row"><span>24h ${formatUptime(site.uptime.day)}</span><span>7d ${formatUptime(site.uptime.week)}</span><span>30d ${formatUptime(site.uptime.month)}</span></div>` : ''}
       </div>
       <div class="card-footer">
-        <span class="visit-time">${getBeijingTime().split(' ')[1]}</span>
+        <span class="visit-time">${getBeijingTime(site.checkedAt).split(' ')[1]}</span>
+        <a class="detail-link" href="/site/${site.hostname}">历史记录</a>
         <button class="visit-btn" onclick="window.open('${site.url}', '_blank')">访问网站 →</button>
       </div>
     </div>
   `).join('');
 }
 
+function generateProbeList(probes) {
+  const items = probes.map(probe => `<div class="status-item${probe.stale ? ' stale' : ''}">
+            <span class="status-label">${escapeHtml(probe.source)}${probe.stale ? ' (已失联)' : ''}:</span>
+            <span class="status-value ${probe.status === 'online' ? 'success' : probe.status === 'offline' ? 'error' : ''}">${probe.statusText}</span>
+          </div>`).join('');
+  return `<div class="status-details probe-list">${items}</div>`;
+}
+
 function getAdminPageScript() {
-  return `function showToast(e,t=!1){const n=document.getElementById("toastContainer"),o=document.createElement("div");const i=e.length>15;o.className="toast"+(t?" error":"")+(i?" multiline":""),o.textContent=e,n.appendChild(o),setTimeout(()=>{o.parentNode&&o.parentNode.removeChild(o)},5e3)}const e=document.getElementById("urls");e&&(e.addEventListener("input",function(){const e=this.value.split("\\n").length;this.style.height="auto",this.style.height=Math.min(Math.max(20*e+40,250),400)+"px";const t=this.value.split("\\n").filter(e=>e.trim()).length,o=this.nextElementSibling;o&&o.classList.contains("current-count")&&(o.textContent="当前配置："+t+" 个网站")}),setTimeout(()=>{const e=new Event("input");e.dispatchEvent(e)},100));`;
+  return `function showToast(e,t=!1){const n=document.getElementById("toastContainer"),o=document.createElement("div");const i=e.length>15;o.className="toast"+(t?" error":"")+(i?" multiline":""),o.textContent=e,n.appendChild(o),setTimeout(()=>{o.parentNode&&o.parentNode.removeChild(o)},5e3)}function updateSiteCount(){const e=document.getElementById("siteRows"),t=document.getElementById("siteCount");if(!e||!t)return;const n=Array.from(e.querySelectorAll('input[name="site_host"]')).filter(e=>e.value.trim()).length;t.textContent="当前配置："+n+" 个网站"}function addSiteRow(){const e=document.getElementById("siteRows"),t=e.lastElementChild.cloneNode(!0);t.querySelectorAll("input").forEach(e=>{e.value="site_path"===e.name?"/":""}),t.querySelector("select").value="https",e.appendChild(t)}function removeSiteRow(e){const t=document.getElementById("siteRows");t.children.length>1?e.closest("tr").remove():e.closest("tr").querySelectorAll("input").forEach(e=>{e.value="site_path"===e.name?"/":""}),updateSiteCount()}function loadImportFile(e){const t=e.files&&e.files[0];if(!t)return;const n=new FileReader;n.onload=()=>{document.getElementById("importText").value=n.result},n.readAsText(t)}const e=document.getElementById("siteRows");e&&e.addEventListener("input",updateSiteCount);`;
 }
 
-function getBeijingTime() {
-  const now = new Date();
-  const beijingTime = new Date(now.getTime() + (8 * 60 * 60 * 1000));
+function getBeijingTime(timestamp = Date.now()) {
+  const beijingTime = new Date(timestamp + (8 * 60 * 60 * 1000));
 
   const year = beijingTime.getUTCFullYear();
   const month = String(beijingTime.getUTCMonth() + 1).padStart(2, '0');
@@ -304,43 +2056,352 @@ function getMainScript() {
 
 const BASE_STYLES = `*{margin:0;padding:0;box-sizing:border-box}body{font-family:'Segoe UI',Tahoma,Geneva,Verdana,sans-serif;min-height:100vh;display:flex;flex-direction:column;align-items:center;justify-content:center;padding:30px;background:linear-gradient(135deg,#000814 0%,#001d3d 50%,#003566 100%);color:#e0f7ff;text-align:center}.container{max-width:500px;width:100%;background:rgba(0,20,40,.8);padding:40px;border-radius:20px;backdrop-filter:blur(15px);box-shadow:0 15px 35px rgba(0,0,0,.4),0 0 50px rgba(0,150,255,.2);border:1px solid rgba(0,200,255,.4)}h1{font-size:2rem;margin-bottom:25px;background:linear-gradient(135deg,#00b4d8 0%,#0077b6 50%,#0096c7 100%);-webkit-background-clip:text;-webkit-text-fill-color:transparent;background-clip:text;font-weight:700;text-shadow:0 0 20px rgba(0,180,216,.5)}.toast-container{position:fixed;bottom:20px;right:20px;z-index:1000}.toast{background:rgba(0,20,40,.95);color:#e0f7ff;padding:15px 20px;border-radius:10px;margin-bottom:10px;box-shadow:0 5px 15px rgba(0,0,0,.3),0 0 20px rgba(0,150,255,.2);border-left:4px solid #00b4d8;border:1px solid rgba(0,200,255,.3);animation:slideIn .3s ease,fadeOut .3s ease 4.7s forwards;max-width:400px;min-width:300px;font-weight:600;white-space:nowrap;overflow:visible;text-overflow:unset}.toast.multiline{white-space:normal;word-wrap:break-word;min-width:350px;max-width:500px}.toast.error{border-left-color:#ff6b6b;border-color:rgba(255,107,107,.3)}@keyframes slideIn{from{transform:translateX(100%);opacity:0}to{transform:translateX(0);opacity:1}}@keyframes fadeOut{from{opacity:1}to{opacity:0}}`;
 
+const TIMELINE_STYLES = `.timeline{display:flex;gap:2px;height:18px}.timeline-seg{flex:1;border-radius:2px;background:rgba(160,208,255,.15)}.timeline-seg.up{background:#00d500}.timeline-seg.partial{background:#ffb703}.timeline-seg.down{background:#d50000}`;
+
 const ConfigManager = {
-  async getSites(env) {
+  async getEntries(env) {
     try {
-      const config = await env.kv.get('SITES_CONFIG');
-      if (!config) return [];
-
-      return JSON.parse(config).map((url, index) => ({
-        name: `网站 ${index + 1}`,
-        url: 'https://' + url,
-        displayUrl: url,
-      }));
+      const config = JSON.parse(await env.kv.get('SITES_CONFIG') || '[]');
+      return Array.isArray(config) ? config : [];
     } catch {
       return [];
     }
   },
 
-  async saveSites(env, urlText) {
-    const urls = urlText.split('\n')
-      .map(url => url.trim())
-      .filter(url => url)
-      .map(url => url.replace(/^https?:\/\//, '').split('/')[0]);
+  async getSites(env) {
+    return (await this.getEntries(env)).flatMap(entry => {
+      try {
+        return [this.toSite(this.normalizeSite(entry))];
+      } catch {
+        return [];
+      }
+    });
+  },
+
+  async getInvalidEntries(env) {
+    return (await this.getEntries(env)).flatMap(entry => {
+      try {
+        this.normalizeSite(entry);
+        return [];
+      } catch (error) {
+        return [{ entry, error: error.message }];
+      }
+    });
+  },
+
+  async discardInvalidEntries(env) {
+    const definitions = (await this.getSites(env)).map(this.toDefinition);
+    await env.kv.put('SITES_CONFIG', JSON.stringify(definitions));
+  },
+
+  async saveSites(env, entries, request, source) {
+    const sites = new Map();
+    for (const entry of entries) {
+      const site = this.normalizeSite(entry);
+      if (!sites.has(site.host)) sites.set(site.host, site);
+    }
+
+    const definitions = [...sites.values()];
+    const previous = (await this.getSites(env)).map(this.toDefinition);
+    const invalid = (await this.getInvalidEntries(env)).map(item => item.entry);
+    await env.kv.put('SITES_CONFIG', JSON.stringify([...definitions, ...invalid]));
+    await RevisionManager.record(env, previous, definitions, { ip: SecurityHelper.getClientIp(request), source });
+    return definitions;
+  },
+
+  parseSiteForm(formData) {
+    const field = name => formData.getAll(name).map(value => String(value).trim());
+    const hosts = field('site_host');
+    const [names, groups, schemes, paths, expectedStatus, keywords] =
+      ['site_name', 'site_group', 'site_scheme', 'site_path', 'site_expected_status', 'site_keyword'].map(field);
+
+    const entries = hosts.map((host, index) => ({
+      host,
+      name: names[index],
+      group: groups[index],
+      scheme: schemes[index],
+      path: paths[index],
+      expectedStatus: expectedStatus[index],
+      keyword: keywords[index]
+    })).filter(entry => entry.host);
+
+    return entries.concat(String(formData.get('urls') || '').split('\n').map(url => url.trim()).filter(url => url));
+  },
+
+  normalizeSite(entry) {
+    const definition = typeof entry === 'string' ? { host: entry } : { ...entry };
+    let host = String(definition.host || '').trim();
+    let scheme = definition.scheme;
+    let path = definition.path;
+
+    const schemeMatch = host.match(/^(https?):\/\/(.*)$/i);
+    if (schemeMatch) {
+      scheme = scheme || schemeMatch[1].toLowerCase();
+      host = schemeMatch[2];
+    }
+
+    const slashIndex = host.indexOf('/');
+    if (slashIndex !== -1) {
+      path = path && path !== '/' ? path : host.slice(slashIndex);
+      host = host.slice(0, slashIndex);
+    }
+
+    scheme = scheme === 'http' ? 'http' : 'https';
+    path = path ? String(path).trim() : '/';
+    if (!path.startsWith('/')) path = '/' + path;
+
+    try {
+      const parsed = new URL(`${scheme}://${host}`);
+      host = parsed.host;
+    } catch {
+      throw new Error(`无效的域名：${host}`);
+    }
+
+    if (!/^[a-z0-9_-]+(\.[a-z0-9_-]+)*(:\d{1,5})?$/.test(host)) {
+      throw new Error(`无效的域名：${host}`);
+    }
+    if (!/^\/[^\s'"<>\\`]*$/.test(path)) {
+      throw new Error(`无效的路径：${path}`);
+    }
+
+    return {
+      host,
+      name: String(definition.name || '').trim() || host,
+      group: String(definition.group || '').trim(),
+      scheme,
+      path,
+      expectedStatus: this.parseStatusCodes(definition.expectedStatus),
+      keyword: String(definition.keyword || '').trim()
+    };
+  },
+
+  parseStatusCodes(value) {
+    const parts = Array.isArray(value) ? value.map(String) : String(value || '').split(/[,，\s]+/);
+    const codes = new Set();
+
+    for (const part of parts.filter(item => item)) {
+      const [from, to = from] = part.split('-').map(code => parseInt(code, 10));
+      if (!(from >= 100 && to <= 599 && from <= to)) {
+        throw new Error(`无效的状态码：${part}`);
+      }
+      for (let code = from; code <= to; code++) codes.add(code);
+    }
+
+    return codes.size ? [...codes].sort((a, b) => a - b) : [200];
+  },
+
+  toDefinition({ host, name, group, scheme, path, expectedStatus, keyword }) {
+    return { host, name, group, scheme, path, expectedStatus, keyword };
+  },
+
+  toSite(definition) {
+    return {
+      ...definition,
+      url: `${definition.scheme}://${definition.host}${definition.path}`,
+      hostname: definition.host,
+      displayUrl: definition.host + (definition.path === '/' ? '' : definition.path)
+    };
+  }
+};
+
+const DomainListHelper = {
+  FORMATS: {
+    auto: '自动识别',
+    plain: '纯文本（每行一个域名）',
+    gfwlist: 'gfwlist / AutoProxy',
+    clash: 'Clash 规则集',
+    surge: 'Surge 规则列表',
+    hosts: 'hosts 文件',
+    json: 'JSON 配置'
+  },
+
+  decodeBase64(text) {
+    const compact = text.replace(/\s+/g, '');
+    if (!compact || compact.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(compact)) return null;
+
+    try {
+      const bytes = Uint8Array.from(atob(compact), char => char.charCodeAt(0));
+      return new TextDecoder().decode(bytes);
+    } catch {
+      return null;
+    }
+  },
+
+  encodeBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/.{64}/g, '$&\n');
+  },
+
+  detectFormat(text) {
+    const trimmed = text.trim();
+    if (/^[[{]/.test(trimmed) && !/^\[AutoProxy/i.test(trimmed)) return 'json';
+    if (/^\[AutoProxy/im.test(trimmed) || /^(\|\||@@|\|https?:)/m.test(trimmed)) return 'gfwlist';
+    if (/^payload:/m.test(trimmed) || /^\s*(-\s*)?['"]?(DOMAIN(-SUFFIX)?,|\+\.)/im.test(trimmed)) return 'clash';
+    if (/^\s*(\d{1,3}(\.\d{1,3}){3}|[0-9a-f:]*:[0-9a-f:]+)\s+\S/im.test(trimmed)) return 'hosts';
+    return 'plain';
+  },
+
+  extractHost(value) {
+    const host = value.trim()
+      .replace(/^[|.]+/, '')
+      .replace(/^\*\./, '')
+      .replace(/^https?:\/\//i, '')
+      .split(/[/:^?#]/)[0];
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(host) ? host.toLowerCase() : null;
+  },
+
+  parse(text, format = 'auto') {
+    if (!this.FORMATS[format]) throw new Error('未知的导入格式');
+    if (!text.trim()) throw new Error('导入内容为空');
+
+    if (format === 'auto' || format === 'gfwlist') {
+      const decoded = this.decodeBase64(text);
+      if (decoded) text = decoded;
+    }
+    if (format === 'auto') format = this.detectFormat(text);
+
+    if (format === 'json') {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch {
+        throw new Error('JSON 格式错误');
+      }
+      const entries = Array.isArray(data) ? data : data && typeof data === 'object' ? data.sites : null;
+      if (!Array.isArray(entries)) throw new Error('JSON 中缺少 sites 数组');
+      return { entries, excluded: [] };
+    }
+
+    const entries = [];
+    const excluded = [];
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/\s+#.*$/, '').trim();
+      if (!line || /^[!#;[]/.test(line) || line === 'payload:') continue;
+
+      if (format === 'gfwlist') {
+        if (line.startsWith('/') || line.includes('*')) continue;
+        const isException = line.startsWith('@@');
+        const host = this.extractHost(line.replace(/^@@/, ''));
+        if (host) (isException ? excluded : entries).push(host);
+      } else if (format === 'clash' || format === 'surge') {
+        const rule = line.replace(/^-\s*/, '').replace(/^['"]|['"]$/g, '');
+        const [type, value] = rule.split(',').map(part => part.trim());
+        if (value !== undefined) {
+          if (/^DOMAIN(-SUFFIX)?$/i.test(type)) entries.push(value);
+        } else if (!rule.includes('*')) {
+          entries.push(rule.replace(/^\+\./, '').replace(/^\./, ''));
+        }
+      } else if (format === 'hosts') {
+        const [ip, ...hosts] = line.split(/\s+/);
+        if (!/^[\d.:a-f]+$/i.test(ip)) continue;
+        hosts.filter(host => !/^(localhost|localhost\.localdomain|broadcasthost|ip6-\w+)$/i.test(host))
+          .forEach(host => entries.push(host));
+      } else {
+        entries.push(line);
+      }
+    }
+
+    return { entries, excluded };
+  },
+
+  diff(definitions, { entries, excluded }) {
+    const existing = new Map(definitions.map(site => [site.host, site]));
+    const excludedHosts = new Set(excluded);
+    const incoming = new Map();
+    const invalid = [];
+
+    for (const entry of entries) {
+      try {
+        const site = ConfigManager.normalizeSite(entry);
+        if (!excludedHosts.has(site.host) && !incoming.has(site.host)) incoming.set(site.host, { site, entry });
+      } catch {
+        invalid.push(typeof entry === 'string' ? entry : JSON.stringify(entry));
+      }
+    }
+
+    const added = [];
+    const updated = [];
+    let unchanged = 0;
+
+    for (const { site, entry } of incoming.values()) {
+      const current = existing.get(site.host);
+      if (!current) {
+        added.push(site);
+      } else if (typeof entry === 'object' && JSON.stringify(current) !== JSON.stringify(site)) {
+        updated.push(site);
+      } else {
+        unchanged++;
+      }
+    }
+
+    return { added, updated, unchanged, excluded: excludedHosts.size, invalid };
+  },
+
+  serialize(hosts, format, { proxy = 'DIRECT' } = {}) {
+    const domains = [...new Set(hosts.map(host => host.split(':')[0]))];
+    const header = `Generated by GFW-DomainChecker at ${new Date().toISOString()}`;
 
-    await env.kv.put('SITES_CONFIG', JSON.stringify(urls));
-    return urls;
+    if (format === 'pac') {
+      return `// ${header}\nvar proxy = ${JSON.stringify(proxy)};\nvar domains = ${JSON.stringify(domains)};\n\nfunction FindProxyForURL(url, host) {\n  host = host.toLowerCase();\n  for (var i = 0; i < domains.length; i++) {\n    if (host === domains[i] || dnsDomainIs(host, '.' + domains[i])) {\n      return proxy;\n    }\n  }\n  return 'DIRECT';\n}\n`;
+    }
+    if (format === 'gfwlist') {
+      return this.encodeBase64(`[AutoProxy 0.2.9]\n! ${header}\n${domains.map(domain => `||${domain}`).join('\n')}\n`);
+    }
+    if (format === 'clash') {
+      if (!domains.length) return `# ${header}\npayload: []\n`;
+      return `# ${header}\npayload:\n${domains.map(domain => `  - DOMAIN-SUFFIX,${domain}`).join('\n')}\n`;
+    }
+    if (format === 'surge') {
+      return `# ${header}\n${domains.map(domain => `DOMAIN-SUFFIX,${domain}`).join('\n')}\n`;
+    }
+    if (format === 'hosts') {
+      return `# ${header}\n${domains.map(domain => `0.0.0.0 ${domain}`).join('\n')}\n`;
+    }
+    return domains.join('\n') + '\n';
   }
 };
 
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+function decodeHostname(value) {
+  try {
+    return decodeURIComponent(value).toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
 const ResponseHelper = {
-  html(content, status = 200) {
+  html(content, status = 200, headers = {}) {
     return new Response(content, {
       status,
-      headers: { 'Content-Type': 'text/html; charset=UTF-8' }
+      headers: { 'Content-Type': 'text/html; charset=UTF-8', ...headers }
+    });
+  },
+
+  redirect(url, status = 302, headers = {}) {
+    return new Response(null, {
+      status,
+      headers: { Location: url, ...headers }
+    });
+  },
+
+  json(data, status = 200, headers = {}) {
+    return new Response(JSON.stringify(data), {
+      status,
+      headers: { 'Content-Type': 'application/json; charset=UTF-8', 'Cache-Control': 'no-store', ...headers }
     });
   },
 
-  redirect(url, status = 302) {
-    return Response.redirect(url, status);
+  jsonError(code, message, status = 400, headers = {}) {
+    return this.json({ error: { code, message } }, status, headers);
   },
 
   error(message, status = 500) {